@@ -0,0 +1,65 @@
+const {describeElement} = require('./functions');
+
+/**
+ * The issues found by auditing the IDs and the labels of a document.
+ */
+module.exports = class AuditReport {
+    /**
+     * @param {Object} issues
+     * @param {Object[]} issues.duplicateIds The duplicate IDs ({id, elements}).
+     * @param {Object[]} issues.invalidIds The IDs which are invalid for the document type ({id, element}).
+     * @param {Object[]} issues.orphanedLabels The labels which "for" attribute doesn't refer to any element ({label, htmlFor}).
+     * @param {Object[]} issues.unlabelledControls The form controls without an accessible label ({element}).
+     * @param {Object[]} issues.unexpectedIds The form control IDs which are not the ones InputId generates ({element, id, expectedId}).
+     */
+    constructor(issues) {
+        this.duplicateIds = issues.duplicateIds;
+        this.invalidIds = issues.invalidIds;
+        this.orphanedLabels = issues.orphanedLabels;
+        this.unlabelledControls = issues.unlabelledControls;
+        this.unexpectedIds = issues.unexpectedIds;
+        Object.freeze(this);
+    }
+
+    /**
+     * @returns {Number} The number of issues.
+     */
+    get count() {
+        return [
+            this.duplicateIds,
+            this.invalidIds,
+            this.orphanedLabels,
+            this.unlabelledControls,
+            this.unexpectedIds
+        ].reduce((count, issues) => count + issues.length, 0);
+    }
+
+    /**
+     * @returns {boolean} Were there no issues?
+     */
+    get passed() {
+        return this.count === 0;
+    }
+
+    /**
+     * @returns {String} The issues as text, one per line, grouped by kind.
+     */
+    toString() {
+        if (this.passed) {
+            return 'No issues found.';
+        }
+        const sections = [
+            ['Duplicate IDs', this.duplicateIds, issue => `"${issue.id}" (${issue.elements.length} elements)`],
+            ['Invalid IDs', this.invalidIds, issue => `"${issue.id}" (${describeElement(issue.element)})`],
+            ['Orphaned labels', this.orphanedLabels, issue => `label for "${issue.htmlFor}"`],
+            ['Unlabelled controls', this.unlabelledControls, issue => describeElement(issue.element)],
+            ['Unexpected IDs', this.unexpectedIds, issue => `"${issue.id}" (expected "${issue.expectedId}")`]
+        ];
+        return sections
+            .filter(([, issues]) => issues.length > 0)
+            .map(([title, issues, describe]) => [`${title}:`]
+                .concat(issues.map(issue => `  ${describe(issue)}`))
+                .join('\n'))
+            .join('\n');
+    }
+};
@@ -0,0 +1,52 @@
+/**
+ * A registry combining several registries (ex: a DomIdRegistry and a MemoryIdRegistry),
+ * so an ID is taken if it's taken in any of them.
+ */
+module.exports = class CompositeIdRegistry {
+    /**
+     * @param {Object[]} registries The combined registries.
+     */
+    constructor(registries) {
+        this._registries = Array.from(registries);
+        Object.freeze(this);
+    }
+
+    /**
+     * Check if an ID is taken by another owner in any registry.
+     * @param {String} id The ID.
+     * @param {*} owner The owner which might have reserved the ID (ex: an element).
+     * @returns {boolean}
+     */
+    has(id, owner = null) {
+        return this._registries.some(registry => registry.has(id, owner));
+    }
+
+    /**
+     * Reserve an ID in every registry, unless it's taken by another owner in any of them.
+     * @param {String} id The ID.
+     * @param {*} owner The owner of the ID (ex: an element).
+     * @returns {boolean} true if the ID was reserved.
+     */
+    reserve(id, owner = null) {
+        if (this.has(id, owner)) {
+            return false;
+        }
+        this._registries.forEach(registry => registry.reserve(id, owner));
+        return true;
+    }
+
+    /**
+     * Release a reserved ID in every registry.
+     * @param {String} id The ID.
+     */
+    release(id) {
+        this._registries.forEach(registry => registry.release(id));
+    }
+
+    /**
+     * Release all the reserved IDs in every registry.
+     */
+    clear() {
+        this._registries.forEach(registry => registry.clear());
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * A registry of the IDs of the elements in a document.
+ * The IDs are reserved by the elements which have them, so reserving and releasing
+ * IDs don't change anything.
+ */
+module.exports = class DomIdRegistry {
+    /**
+     * @param {Document|DocumentFragment} root The document where the IDs are searched.
+     */
+    constructor(root) {
+        if (!root || typeof root.getElementById !== 'function') {
+            throw new TypeError('The DomIdRegistry root must be a Document or a DocumentFragment');
+        }
+        this._root = root;
+        Object.freeze(this);
+    }
+
+    /**
+     * Check if an ID belongs to an element other than the owner.
+     * @param {String} id The ID.
+     * @param {HTMLElement|null} owner The element which might have the ID.
+     * @returns {boolean}
+     */
+    has(id, owner = null) {
+        const elementWithId = this._root.getElementById(id);
+        return !!elementWithId && elementWithId !== owner;
+    }
+
+    /**
+     * Check if an ID can be reserved, since only elements reserve IDs.
+     * @param {String} id The ID.
+     * @param {HTMLElement|null} owner The element which should have the ID.
+     * @returns {boolean} true if the ID doesn't belong to another element.
+     */
+    reserve(id, owner = null) {
+        return !this.has(id, owner);
+    }
+
+    /**
+     * Nothing is released, since only elements reserve IDs.
+     */
+    release() {
+    }
+
+    /**
+     * Nothing is cleared, since only elements reserve IDs.
+     */
+    clear() {
+    }
+};
@@ -1,5 +1,254 @@
+const DomIdRegistry = require('./DomIdRegistry');
 const InputIdOptions = require('./InputIdOptions');
-const {clean, generateUniqueFromBaseId} = require('./functions');
+const ariaRoles = require('./ariaRoles');
+const defaultTypeRules = require('./typeRules');
+const suffixStrategies = require('./suffixStrategies');
+const {getPolicyName} = require('./policies');
+const {
+    addFallback,
+    clean,
+    describeElement,
+    formatId,
+    generateUniqueFromBaseId,
+    getLabelableControls,
+    getSuffixIndex,
+    getTypeRule,
+    isValidId,
+    removeFallbackPrefix,
+    sanitize,
+    splitId,
+    splitName,
+    truncate
+} = require('./functions');
+
+/**
+ * Selector matching the elements which IDs might be generated by InputId.
+ */
+const CONTROLS_SELECTOR = 'button, fieldset, input, object, optgroup, option, output, select, textarea';
+
+/**
+ * The keys of the functions (ex: format functions and suffix strategies) in the instance hash keys,
+ * so different functions have different keys, even if their source code is the same.
+ */
+const functionKeys = new WeakMap();
+let functionCount = 0;
+
+/**
+ * Get the key of a function in the instance hash keys.
+ * @param {Function} fn The function.
+ * @returns {String} The function key (ex: "function#1").
+ */
+function getFunctionKey(fn) {
+    if (!functionKeys.has(fn)) {
+        functionCount += 1;
+        functionKeys.set(fn, `function#${functionCount}`);
+    }
+    return functionKeys.get(fn);
+}
+
+/**
+ * Check if an element is a custom element (ex: a form-associated custom element),
+ * which name always has a hyphen.
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isCustomElement(element) {
+    return element.tagName.includes('-');
+}
+
+/**
+ * Collapse the whitespace of a text.
+ * @param {String} text
+ * @returns {String}
+ */
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the labels of an element.
+ * The labels of custom elements, which aren't exposed outside of their ElementInternals,
+ * are the labels referring to the element ID and the label wrapping it.
+ * @param {HTMLElement} element
+ * @param {Document|ShadowRoot} root The tree where the labels are searched.
+ * @returns {HTMLLabelElement[]}
+ */
+function getElementLabels(element, root) {
+    if (element.labels) {
+        return Array.from(element.labels);
+    }
+    const wrappingLabel = element.closest('label');
+    return Array.from(root.querySelectorAll('label'))
+        .filter(label => label.htmlFor
+            ? label.htmlFor === element.id
+            : label === wrappingLabel);
+}
+
+/**
+ * Get the text of a label, without the text of the form controls it wraps (ex: select options).
+ * @param {HTMLLabelElement} label
+ * @returns {String}
+ */
+function getLabelText(label) {
+    const labelClone = label.cloneNode(true);
+    getLabelableControls(labelClone, false).forEach(control => control.remove());
+    return normalizeText(labelClone.textContent);
+}
+
+/**
+ * Get the elements referred by an ID references attribute (ex: "aria-labelledby").
+ * @param {HTMLElement} element
+ * @param {String} attribute The attribute name.
+ * @param {Document|ShadowRoot} root The tree where the IDs are looked up.
+ * @returns {HTMLElement[]}
+ */
+function getReferencedElements(element, attribute, root) {
+    return (element.getAttribute(attribute) || '')
+        .split(/\s+/)
+        .filter(id => id)
+        .map(id => root.getElementById(id))
+        .filter(referencedElement => referencedElement);
+}
+
+/**
+ * Describe the collision of an ID with another element or a reserved ID.
+ * @param {String} id The ID.
+ * @param {Document|ShadowRoot|null} root The tree where the ID is looked up.
+ * @param {Object|null} registry The registry where the ID might be reserved.
+ * @param {HTMLElement|null} element The element which should have the ID.
+ * @returns {String|null} The collision description or null if there's no collision.
+ */
+function describeCollision(id, root, registry, element) {
+    const elementWithId = root ? root.getElementById(id) : null;
+    if (elementWithId && elementWithId !== element) {
+        return `The "${id}" ID is already used by ${describeElement(elementWithId)}`;
+    }
+    if (registry && registry.has(id, element)) {
+        return `The "${id}" ID is already reserved in the registry`;
+    }
+    return null;
+}
+
+/**
+ * Make the registry where the ID of an element related to a form control is checked:
+ * the InputId registry (or the root IDs), except the ID the form control already refers to
+ * in the ARIA attribute of the role, which belongs to the related element.
+ * @param {InputId} inputId The InputId of the related element.
+ * @returns {Object} The registry, which only has the "has" method.
+ */
+function getRelatedIdRegistry(inputId) {
+    const registry = inputId._registry || new DomIdRegistry(inputId._root);
+    const element = inputId._element;
+    const attribute = ariaRoles[inputId._role];
+    const isReferenced = id => !!element
+        && !!attribute
+        && (element.getAttribute(attribute) || '').split(/\s+/).includes(id);
+    return {
+        has: (id, owner) => registry.has(id, owner) && !isReferenced(id)
+    };
+}
+
+/**
+ * Get the parts of an InputId which the format placeholders refer to. The group and the value
+ * are only given if the type rule includes them, so they don't change when the user types.
+ * @param {InputId} inputId
+ * @param {Function} transform A function transforming each segment (ex: sanitizing it).
+ * @returns {Object} The prefix, scope, name, group, value and type, which segments are joined by the separator.
+ */
+function getFormatParts(inputId, transform) {
+    const ruleParts = getTypeRule(inputId._typeRules, inputId._type).parts;
+    const join = segments => segments
+        .filter(segment => segment !== null && segment !== undefined)
+        .map(segment => transform(String(segment)))
+        .filter(segment => segment !== '')
+        .join(inputId._separator);
+    if (inputId._base !== null) {
+        return {
+            prefix: '',
+            scope: '',
+            name: join([inputId._base]),
+            group: join(ruleParts.includes('group') ? [inputId._group] : []),
+            value: join(ruleParts.includes('value') ? [inputId._value] : []),
+            type: join([inputId._type])
+        };
+    }
+    return {
+        prefix: join([inputId._prefix]),
+        scope: join(inputId._scope),
+        name: join(inputId._name ? splitName(inputId._name, inputId._nameNotation) : []),
+        group: join(ruleParts.includes('group') ? [inputId._group] : []),
+        value: join(ruleParts.includes('value') ? [inputId._value] : []),
+        type: join([inputId._type])
+    };
+}
+
+/**
+ * Get a part of an InputId if its ID depends on it: the group and the value if the type rule includes them,
+ * the type if the type rule or the format includes it.
+ * @param {InputId} inputId
+ * @param {String} part The part name: "group", "value" or "type".
+ * @returns {String|null} The part or null if the ID doesn't depend on it.
+ */
+function getUsedPart(inputId, part) {
+    const format = inputId._format;
+    const isUsed = getTypeRule(inputId._typeRules, inputId._type).parts.includes(part)
+        || (part === 'type' && (typeof format === 'function' || (typeof format === 'string' && format.includes('{type}'))));
+    return isUsed ? inputId[`_${part}`] : null;
+}
+
+/**
+ * Get the ID which the copies of an InputId keep instead of their prefix, scope and name (see InputId.with):
+ * the base of the InputId or its resolved ID, if it doesn't depend on its group, value and type
+ * (ex: the ID of a select element, including any uniqueness suffix, for the IDs of its options).
+ * @param {InputId} inputId
+ * @returns {String|null} The base ID or null if the copies don't keep it.
+ */
+function getCopyBase(inputId) {
+    if (inputId._base !== null) {
+        return inputId._base;
+    }
+    return inputId._string !== null
+        && inputId._role === null
+        && ['group', 'value', 'type'].every(part => getUsedPart(inputId, part) === null)
+        ? inputId._string
+        : null;
+}
+
+/**
+ * Build the ID of an InputId before checking its uniqueness and truncating it.
+ * Without a format, the parts are joined by the separator and sanitized.
+ * With a format, each part is sanitized before the formatting, so the template text is kept
+ * (ex: the "--" of "{prefix}--{name}"), and the ID of a related element is the control ID and the sanitized role.
+ * @param {InputId} inputId
+ * @returns {Object} The "parts", the unsanitized "id", the "sanitizedId" and the "cleanedId" (with any fallback).
+ * @throws {RangeError} If the formatted ID is invalid.
+ */
+function buildId(inputId) {
+    const {_doctype: doctype, _policy: policy, _separator: separator, _fallback: fallback} = inputId;
+    const parts = inputId.toArray();
+    if (inputId._format === null) {
+        const id = parts.join(separator);
+        const sanitizedId = sanitize(id, doctype, policy);
+        return {
+            parts: parts,
+            id: id,
+            sanitizedId: sanitizedId,
+            cleanedId: addFallback(sanitizedId, doctype, fallback, separator, policy)
+        };
+    }
+    const sanitizePart = part => sanitize(part, doctype, policy);
+    const id = inputId._role === null
+        ? formatId(inputId._format, getFormatParts(inputId, part => part), separator)
+        : parts.join(separator);
+    const sanitizedId = inputId._role === null
+        ? formatId(inputId._format, getFormatParts(inputId, sanitizePart), separator)
+        : [parts[0], sanitizePart(inputId._role)].filter(part => part !== '').join(separator);
+    const cleanedId = addFallback(sanitizedId, doctype, fallback, separator, policy);
+    if (!isValidId(cleanedId, doctype, policy)) {
+        throw new RangeError(`The "${cleanedId}" formatted ID is invalid`);
+    }
+    return {parts: parts, id: id, sanitizedId: sanitizedId, cleanedId: cleanedId};
+}
 
 /**
  * A value object representing an HTML form control ID.
@@ -11,26 +260,92 @@ module.exports = class InputId {
      * @param {HTMLElement|Object} options 
      * @param {HTMLElement|undefined} options.element The HTML element.
      * @param {String|undefined} options.name The element name.
+     * @param {String|undefined} options.nameNotation How the name is split into segments: "flat" (by default),
+     *  "brackets" (ex: "address[billing][street]"), "dots" (ex: "address.billing.street") or "auto".
+     * @param {boolean|String|String[]|undefined} options.scope The scope segments between the prefix and the name
+     *  or true to use the names of the ancestor fieldset and section elements.
      * @param {String|undefined} options.value The element value.
+     * @param {String|null|undefined} options.group The option group label, if the type rule includes it
+     *  (ex: {option: {parts: ["name", "group", "value"]}}). By default, it's the label of the option "optgroup".
      * @param {String|undefined} options.type The element type.
-     * @param {HTMLDocument|undefined} options.ownerDocument The element document.
+     * @param {Object|undefined} options.typeRules Rules extending or replacing the default type rules
+     *  (see the "typeRules" module), by type (ex: {"my-slider": {parts: ["name", "value"]}}).
+     * @param {String|undefined} options.role The role of an element related to the form control (ex: "hint").
+     * @param {HTMLDocument|null|undefined} options.ownerDocument The element document or null to not use a document.
+     * @param {Document|ShadowRoot|null|undefined} options.root The tree where the ID is unique and looked up.
+     *  By default, it's the shadow root which contains the element or the owner document.
+     * @param {String|DocumentType|undefined} options.doctype The document type ("html5", "html4" or a DocumentType),
+     *  if it's not the document type of the owner document.
+     * @param {String|Object|undefined} options.policy The sanitization policy name (ex: "ascii", "css", "ncname")
+     *  or object. By default, the policy is derived from the document type.
+     * @param {Object|undefined} options.registry A registry where unique IDs are checked and reserved
+     *  (ex: a MemoryIdRegistry, a DomIdRegistry or a CompositeIdRegistry).
      * @param {String|undefined} options.separator The ID parts separator.
      * @param {boolean|undefined} options.forceUniqueness Should the ID uniqueness be enforced?
+     * @param {String|Function|undefined} options.suffix The suffix strategy when the ID is not unique:
+     *  "sequential" (by default), "hash" or a function (attemptNumber, context) returning the suffix.
+     * @param {*} options.suffixData Data hashed by the "hash" suffix strategy instead of the element path.
+     * @param {Number|undefined} options.maxAttempts The maximum number of suffixed IDs attempts (1000 by default).
+     * @param {Number|null|undefined} options.maxLength The maximum ID length, including any uniqueness suffix.
+     *  Longer IDs are truncated and end with a hash.
      * @param {String|undefined} options.fallback Generated ID fallback (ex: when sanitization fails).
+     * @param {String|Function|undefined} options.format A template of the ID (ex: "{prefix}--{name}__{value}"),
+     *  which placeholders are "prefix", "scope", "name", "group", "value" and "type", or a function receiving
+     *  those parts and returning the ID or its segments. The parts are sanitized and the empty ones are removed
+     *  with their separators. By default, the parts of the type rule are joined by the separator.
+     * @param {String|undefined} options.collisionMode What happens when the ID is already used by another element
+     *  (or reserved in the registry): nothing ("silent", by default), a warning ("warn") or an error ("strict").
+     *  If the uniqueness is enforced, the collision is the one which would make the ID suffixed.
+     * @param {Object|undefined} options.logger The logger of the warnings, which has a "warn" method (console by default).
+     * @param {String|undefined} options.resolution When the ID is generated: "lazy" (by default), when it's first
+     *  converted to a string, or "eager", when the instance is made (see resolve).
+     * @param {String|null|undefined} options.id An ID which was already generated (ex: a serialized ID, see fromJSON),
+     *  which is used instead of generating it. It's reserved in the registry if the uniqueness is enforced.
      */
     constructor(options = {}) {
         const resolvedOptions = new InputIdOptions(options);
+        // The given ID is not an option of the regenerated IDs (see isStale and refresh).
+        this._options = resolvedOptions.settings === options ? {...options, id: null} : options;
         this._element = resolvedOptions.element;
         this._fallback = resolvedOptions.fallback;
+        this._format = resolvedOptions.format;
         this._forceUniqueness = resolvedOptions.forceUniqueness;
         this._name = resolvedOptions.name;
+        this._nameNotation = resolvedOptions.nameNotation;
+        this._scope = resolvedOptions.scope;
         this._value = resolvedOptions.value;
+        this._group = resolvedOptions.group;
         this._ownerDocument = resolvedOptions.ownerDocument;
+        this._root = resolvedOptions.root;
+        this._doctype = resolvedOptions.doctype;
+        this._policy = resolvedOptions.policy;
+        this._registry = resolvedOptions.registry;
         this._prefix = resolvedOptions.prefix;
+        this._role = resolvedOptions.role;
         this._separator = resolvedOptions.separator;
         this._type = resolvedOptions.type;
-        this._string = null;
+        this._typeRules = resolvedOptions.typeRules;
+        this._suffix = resolvedOptions.suffix;
+        this._suffixData = resolvedOptions.suffixData;
+        this._maxAttempts = resolvedOptions.maxAttempts;
+        this._maxLength = resolvedOptions.maxLength;
+        this._collisionMode = resolvedOptions.collisionMode;
+        this._logger = resolvedOptions.logger;
+        this._resolution = resolvedOptions.resolution;
+        this._string = resolvedOptions.id;
+        // The form control InputId, for the InputIds of its related elements (see forRole).
+        this._control = null;
+        // The resolved ID of the instance this one was derived from, instead of the prefix, scope and name (see with).
+        this._base = null;
         Object.seal(this);
+        if (this._string !== null) {
+            if (this._forceUniqueness && this._role === null && this._registry !== null) {
+                this._registry.reserve(this._string, this._element);
+            }
+            Object.freeze(this);
+        } else if (this._resolution === 'eager') {
+            this.resolve();
+        }
     }
 
     /**
@@ -41,25 +356,54 @@ module.exports = class InputId {
     }
 
     /**
-     * 
+     * The ID is generated on the first call, according to the document (or the registry) at that moment,
+     * and the instance is frozen.
+     * @see resolve
      * @returns {String} The generated ID as a string.
      */
     toString() {
         if (this._string === null) {
-            let id = this.toArray().join(this._separator);
-            this._string = this._forceUniqueness
+            const {parts, cleanedId} = buildId(this);
+            const checksUniqueness = this._forceUniqueness
+                && (this._registry !== null || this._root !== null);
+            // A related element ID belongs to the form control element or, without it, to the form control ID.
+            const owner = this._role === null ? this._element : this._element || parts[0];
+            const baseId = truncate(cleanedId, this._maxLength, this._separator);
+            const string = checksUniqueness
                 ? generateUniqueFromBaseId(
-                    id,
-                    this._element || this._ownerDocument,
+                    cleanedId,
+                    this._element || this._root,
                     this._fallback,
-                    this._separator
+                    this._separator,
+                    {
+                        doctype: this._doctype,
+                        policy: this._policy,
+                        registry: this._role === null ? this._registry : getRelatedIdRegistry(this),
+                        root: this._root,
+                        owner: owner,
+                        suffix: this._suffix,
+                        suffixData: this._suffixData,
+                        maxAttempts: this._maxAttempts,
+                        maxLength: this._maxLength,
+                        sanitized: true
+                    }
                 )
-                : clean(
-                    id,
-                    this._ownerDocument.doctype,
-                    this._fallback,
-                    this._separator
-                );
+                : baseId;
+            const collision = this._collisionMode === 'silent'
+                || this._role !== null
+                || (checksUniqueness && string === baseId)
+                ? null
+                : describeCollision(baseId, this._root, this._registry, this._element);
+            if (collision && this._collisionMode === 'strict') {
+                throw new RangeError(collision);
+            }
+            if (collision) {
+                this._logger.warn(checksUniqueness ? `${collision}, so the "${string}" ID was generated instead` : collision);
+            }
+            this._string = string;
+            if (checksUniqueness && this._registry) {
+                this._registry.reserve(this._string, owner);
+            }
             Object.freeze(this);
         }
         return this._string;
@@ -71,47 +415,550 @@ module.exports = class InputId {
     toObject() {
         return {
             prefix: this._prefix,
+            role: this._role,
             type: this._type,
+            typeRules: this._typeRules,
             name: this._name,
+            nameNotation: this._nameNotation,
+            scope: this._scope,
             value: this._value,
+            group: this._group,
             fallback: this._fallback,
+            format: this._format,
             separator: this._separator,
             ownerDocument: this._ownerDocument,
-            forceUniqueness: this._forceUniqueness
+            root: this._root,
+            doctype: this._doctype,
+            policy: this._policy,
+            registry: this._registry,
+            suffix: this._suffix,
+            suffixData: this._suffixData,
+            maxAttempts: this._maxAttempts,
+            maxLength: this._maxLength,
+            forceUniqueness: this._forceUniqueness,
+            collisionMode: this._collisionMode,
+            logger: this._logger,
+            resolution: this._resolution
         };
     }
 
+    /**
+     * Explain how the ID was generated, step by step: the raw parts, joining them, the sanitization,
+     * the fallback insertion, the truncation and the uniqueness suffix.
+     * The ID is generated if it wasn't yet.
+     * @returns {Object[]} The steps, each with its name ("parts", "join", "sanitize", "fallback",
+     *  "truncate" and "uniqueness"), its "result" and a "description".
+     */
+    explain() {
+        const string = this.toString();
+        const {parts, id, sanitizedId, cleanedId} = buildId(this);
+        const baseId = truncate(cleanedId, this._maxLength, this._separator);
+        const checksUniqueness = this._forceUniqueness
+            && (this._registry !== null || this._root !== null);
+        const collision = this._role === null || string !== baseId
+            ? describeCollision(baseId, this._root, this._registry, this._element)
+            : null;
+        let fallbackDescription = 'No fallback was needed';
+        if (sanitizedId.length === 0) {
+            fallbackDescription = `The sanitized ID is empty, so it's the "${this._fallback}" fallback`;
+        } else if (cleanedId !== sanitizedId) {
+            fallbackDescription = `The first character is invalid, so the "${this._fallback}" fallback was added as a prefix`;
+        }
+        let uniquenessDescription = 'The uniqueness isn\'t enforced';
+        if (string !== baseId) {
+            uniquenessDescription = `${collision || `The "${baseId}" ID is already reserved`}, so a suffix was added`;
+        } else if (checksUniqueness) {
+            uniquenessDescription = 'The ID is unique';
+        } else if (collision) {
+            uniquenessDescription = `The uniqueness isn't enforced: ${collision[0].toLowerCase()}${collision.slice(1)}`;
+        }
+        return [
+            {
+                step: 'parts',
+                result: parts,
+                description: 'The prefix, the scope, the parts of the type rule and the role'
+            },
+            {
+                step: 'join',
+                result: id,
+                description: this._format === null || this._role !== null
+                    ? `The parts are joined by the "${this._separator}" separator`
+                    : `The parts are formatted with ${typeof this._format === 'function' ? 'the format function' : `the "${this._format}" template`}`
+            },
+            {
+                step: 'sanitize',
+                result: sanitizedId,
+                description: sanitizedId === id
+                    ? 'No character was replaced or removed'
+                    : 'The invalid characters were replaced or removed, according to the document type and the policy'
+            },
+            {
+                step: 'fallback',
+                result: cleanedId,
+                description: fallbackDescription
+            },
+            {
+                step: 'truncate',
+                result: baseId,
+                description: baseId === cleanedId
+                    ? 'The ID wasn\'t truncated'
+                    : `The ID was truncated to ${this._maxLength} characters`
+            },
+            {
+                step: 'uniqueness',
+                result: string,
+                description: uniquenessDescription
+            }
+        ];
+    }
+
+    /**
+     * Generate the ID now, instead of when it's first converted to a string, so the errors
+     * (ex: a unique ID wasn't found after the maximum attempts) are thrown now.
+     * The ID is then fixed: it doesn't change if the document changes (see isStale and refresh).
+     * @returns {InputId} The instance, which is frozen.
+     * @throws {RangeError} If the ID can't be generated.
+     */
+    resolve() {
+        this.toString();
+        return this;
+    }
+
+    /**
+     * Check if the generated ID would be different according to the current document:
+     * its parts changed (ex: the element was moved into a form or its name changed) or,
+     * if the uniqueness is enforced, another element has the ID.
+     * An ID which isn't generated yet is never stale. Without an element,
+     * the elements which have the ID aren't checked, since they might be the ones which got it.
+     * @returns {boolean}
+     */
+    isStale() {
+        if (this._string === null) {
+            return false;
+        }
+        // The current ID is generated without the registry, so nothing is reserved.
+        const options = typeof this._options.nodeType === 'number' ? {element: this._options} : this._options;
+        const current = new InputId({...options, registry: null, forceUniqueness: false, resolution: 'lazy'});
+        if (current.toString() !== this.ignoreUniqueness().toString()) {
+            return true;
+        }
+        if (!this._forceUniqueness || this._role !== null || !this._element || current._root === null) {
+            return false;
+        }
+        const elementWithId = current._root.getElementById(this._string);
+        return !!elementWithId && elementWithId !== this._element;
+    }
+
+    /**
+     * Make a new instance with the same options, which ID is generated now according to the current document.
+     * The ID of this instance is released in the registry first, so the new instance might get it again.
+     * @returns {InputId} The new resolved instance.
+     */
+    refresh() {
+        this.release();
+        return new InputId(this._options).resolve();
+    }
+
+    /**
+     * @returns {Object} The resolved parts, the settings and the generated ID ("id"), including any uniqueness suffix,
+     *  which can be serialized as JSON (ex: to send it from a server or a worker) and given to InputId.fromJSON.
+     *  The element, the document and the registry are excluded, like the value and the group if the ID doesn't
+     *  depend on them (ex: the text typed in an input).
+     * @throws {TypeError} If the sanitization policy isn't registered, the format is a function or the suffix
+     *  strategy is a function, since policy objects and functions can't be serialized.
+     */
+    toJSON() {
+        const policyName = getPolicyName(this._policy);
+        if (policyName === null) {
+            throw new TypeError('Only InputIds with a registered sanitization policy can be serialized');
+        }
+        if (typeof this._format === 'function') {
+            throw new TypeError('Only InputIds without a format function can be serialized');
+        }
+        const suffixName = Object.keys(suffixStrategies).find(name => suffixStrategies[name] === this._suffix);
+        if (suffixName === undefined) {
+            throw new TypeError('Only InputIds with a built-in suffix strategy can be serialized');
+        }
+        return {
+            id: this.toString(),
+            prefix: this._prefix,
+            role: this._role,
+            type: this._type,
+            typeRules: this._typeRules === defaultTypeRules ? null : this._typeRules,
+            name: this._name,
+            nameNotation: this._nameNotation,
+            scope: this._scope,
+            value: getUsedPart(this, 'value'),
+            group: getUsedPart(this, 'group'),
+            fallback: this._fallback,
+            format: this._format,
+            separator: this._separator,
+            doctype: this._doctype
+                ? {name: this._doctype.name, publicId: this._doctype.publicId, systemId: this._doctype.systemId}
+                : 'html5',
+            policy: policyName,
+            suffix: suffixName,
+            suffixData: this._suffixData,
+            maxAttempts: this._maxAttempts === Infinity ? null : this._maxAttempts,
+            maxLength: this._maxLength,
+            forceUniqueness: this._forceUniqueness,
+            collisionMode: this._collisionMode
+        };
+    }
+
+    /**
+     * Make an instance from the result of toJSON (or its JSON string), which ID is the serialized ID.
+     * The options might give the live element, document, root or registry (where the ID is reserved).
+     * @see checkHydration
+     *
+     * @param {Object|String} json The serialized InputId.
+     * @param {Object} options InputId options (ex: element, ownerDocument, root, registry).
+     * @returns {InputId}
+     * @throws {TypeError} If the serialized InputId has no ID.
+     */
+    static fromJSON(json, options = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || typeof data.id !== 'string') {
+            throw new TypeError('The serialized InputId must have an "id" String');
+        }
+        const {id, typeRules, suffix, maxAttempts, ...parts} = data;
+        return new InputId({
+            ...parts,
+            ...(typeRules ? {typeRules: typeRules} : {}),
+            ...(suffix ? {suffix: suffix} : {}),
+            maxAttempts: maxAttempts === null ? Infinity : maxAttempts,
+            ...options,
+            id: id
+        });
+    }
+
+    /**
+     * Check if a rehydrated ID (see fromJSON) still matches the live document:
+     * the element (the "element" option or the element with the ID) must have the ID
+     * and the ID generated for that element must be the same, ignoring uniqueness suffixes.
+     * Nothing is checked without a document or for the IDs of related elements.
+     *
+     * @returns {Object|null} Null if the ID matches or a mismatch with the "id", the "element" (or null),
+     *  the "reason" ("missing", "element" or "parts"), the "expectedId" generated for the element (or null),
+     *  the parts "differences" ({part, stored, live}) and a "message".
+     */
+    checkHydration() {
+        if (this._root === null || this._role !== null) {
+            return null;
+        }
+        const id = this.toString();
+        const element = this._element || this.getElement();
+        const mismatch = (reason, expectedId, differences, message) => ({
+            id: id,
+            element: element,
+            reason: reason,
+            expectedId: expectedId,
+            differences: differences,
+            message: message
+        });
+        if (!element) {
+            return mismatch('missing', null, [], `No element has the "${id}" ID`);
+        }
+        if (element.id !== id) {
+            return mismatch('element', null, [], `The element has the "${element.id}" ID instead of "${id}"`);
+        }
+        // The stored prefix might be an option (ex: on the server), which the element doesn't give.
+        const elementPrefix = new InputIdOptions({element: element}).prefix;
+        const liveId = new InputId({
+            element: element,
+            prefix: elementPrefix === null ? this._prefix : elementPrefix,
+            scope: this._scope,
+            nameNotation: this._nameNotation,
+            typeRules: this._typeRules,
+            fallback: this._fallback,
+            format: this._format,
+            separator: this._separator,
+            doctype: this._doctype,
+            policy: this._policy,
+            maxLength: this._maxLength,
+            forceUniqueness: false
+        });
+        const expectedId = liveId.toString();
+        if (this.ignoreUniqueness().toString() === expectedId) {
+            return null;
+        }
+        const live = liveId.toObject();
+        const comparedParts = ['prefix'].concat(
+            getTypeRule(this._typeRules, this._type).parts,
+            getTypeRule(this._typeRules, live.type).parts
+        );
+        const differences = ['prefix', 'name', 'group', 'value', 'type']
+            .filter(part => comparedParts.includes(part) && this[`_${part}`] !== live[part])
+            .map(part => ({part: part, stored: this[`_${part}`], live: live[part]}));
+        const details = differences
+            .map(difference => `its ${difference.part} is ${JSON.stringify(difference.live)} instead of ${JSON.stringify(difference.stored)}`)
+            .join(', ');
+        return mismatch(
+            'parts',
+            expectedId,
+            differences,
+            `The "${id}" ID doesn't match the element, which ID would be "${expectedId}"${details ? `: ${details}` : ''}`
+        );
+    }
+
     /**
      * @returns {Array} The components used to build the ID string
      *  before sanitizing and checking if it's unique in the document.
+     *  For a related element, they're the form control ID (including any uniqueness suffix) and the role.
+     *  For a copy which kept the ID of a resolved instance (see with), that ID replaces the prefix, scope and name.
      */
     toArray() {
+        if (this._role !== null) {
+            return [this.forRole(null).toString(), this._role];
+        }
         const parts = [];
-        if (this._prefix !== null) {
+        if (this._prefix !== null && this._base === null) {
             parts.push(this._prefix);
         }
-        if (this._name) {
-            parts.push(this._name);
-        }
-        if (
-            this._type
-            && this._value !== null
-            && ['checkbox', 'radio', 'option'].includes(this._type)
-        ) {
-            parts.push(this._value);
+        if (this._base === null) {
+            parts.push(...this._scope);
         }
+        getTypeRule(this._typeRules, this._type).parts.forEach(part => {
+            if (part === 'name' && this._base !== null) {
+                parts.push(this._base);
+            } else if (part === 'name' && this._name) {
+                parts.push(...splitName(this._name, this._nameNotation));
+            }
+            if (part === 'group' && this._group !== null) {
+                parts.push(this._group);
+            }
+            if (part === 'value' && this._value !== null && this._value !== '') {
+                parts.push(this._value);
+            }
+            if (part === 'type' && this._type) {
+                parts.push(this._type);
+            }
+        });
         return parts;
     }
 
+    /**
+     * Find the parts which might have generated an ID.
+     * If the document has form controls with InputIds matching the ID, the parts are taken
+     * from those controls. Otherwise, the ID is split by the separator and the parts are
+     * the sanitized ones.
+     * The uniqueness suffix and the fallback prefix for non-HTML5 documents are removed.
+     *
+     * @param {String} id The generated ID.
+     * @param {Object} options InputId options (ex: separator, fallback, prefix, ownerDocument, root).
+     * @returns {Object} The most likely prefix, name, value, type, suffixIndex and element,
+     *  besides if the ID is "ambiguous" and all the "candidates" with those properties.
+     */
+    static parse(id, options = {}) {
+        const resolvedOptions = new InputIdOptions(options);
+        const separator = resolvedOptions.separator;
+        const fallback = resolvedOptions.fallback;
+        const root = resolvedOptions.root;
+        const doctype = resolvedOptions.doctype;
+        const policy = resolvedOptions.policy;
+        const prefix = resolvedOptions.prefix;
+        const typeRules = resolvedOptions.typeRules;
+        const usesValue = type => getTypeRule(typeRules, type).parts.includes('value');
+        const controls = root
+            ? Array.from(root.querySelectorAll(`${CONTROLS_SELECTOR}, [name]`))
+                .filter(element => element.matches(CONTROLS_SELECTOR) || isCustomElement(element))
+            : [];
+        let candidates = controls
+            .map(element => {
+                const inputId = new InputId({
+                    ...(prefix === null ? {} : {prefix: prefix}),
+                    element: element,
+                    separator: separator,
+                    fallback: fallback,
+                    doctype: doctype,
+                    policy: policy,
+                    typeRules: typeRules,
+                    maxLength: resolvedOptions.maxLength,
+                    forceUniqueness: false
+                });
+                const parts = inputId.toObject();
+                const suffixIndex = getSuffixIndex(id, inputId.toString(), separator);
+                return suffixIndex < 0 ? null : {
+                    prefix: parts.prefix,
+                    name: parts.name,
+                    value: usesValue(parts.type) ? parts.value : null,
+                    type: parts.type,
+                    suffixIndex: suffixIndex || null,
+                    element: element
+                };
+            })
+            .filter(candidate => candidate);
+        if (candidates.some(candidate => candidate.element.id === id)) {
+            candidates = candidates.filter(candidate => candidate.element.id === id);
+        }
+        candidates = candidates.filter((candidate, index) => index === candidates.findIndex(
+            other => ['prefix', 'name', 'value', 'suffixIndex'].every(part => other[part] === candidate[part])
+        ));
+        if (candidates.length === 0) {
+            const unprefix = cleanedId => removeFallbackPrefix(cleanedId, doctype, fallback, separator, policy);
+            const cleanedPrefix = prefix === null
+                ? null
+                : unprefix(clean(prefix, doctype, fallback, separator, policy));
+            candidates = splitId(
+                unprefix(id),
+                separator,
+                cleanedPrefix
+            ).map(candidate => ({...candidate, type: null, element: null}));
+        }
+        const empty = {prefix: null, name: null, value: null, type: null, suffixIndex: null, element: null};
+        return {
+            ...(candidates[0] || empty),
+            ambiguous: candidates.length > 1,
+            candidates: candidates
+        };
+    }
+
+    /**
+     * @returns {String} A stable key made of the resolved parts and settings, without resolving the ID uniqueness,
+     *  so equal instances have the same key (ex: to use them as Map keys).
+     *  The element, the document and the registry aren't part of the key, nor the group, the value and the type
+     *  if the ID doesn't depend on them (ex: a "text" and an "email" input with the same name are equal).
+     *  The type rules are compared by the rule of the instance type only.
+     *  The functions (ex: a format function or a suffix strategy) are compared by identity.
+     */
+    hashKey() {
+        const suffixName = Object.keys(suffixStrategies).find(name => suffixStrategies[name] === this._suffix);
+        const serialize = (key, value) => {
+            if (typeof value === 'function') {
+                return getFunctionKey(value);
+            }
+            return value instanceof RegExp ? String(value) : value;
+        };
+        return JSON.stringify([
+            this._prefix,
+            this._scope,
+            this._name,
+            this._nameNotation,
+            this._base,
+            getTypeRule(this._typeRules, this._type).parts,
+            getUsedPart(this, 'type'),
+            getUsedPart(this, 'value'),
+            getUsedPart(this, 'group'),
+            this._role,
+            this._separator,
+            this._fallback,
+            this._format,
+            this._doctype ? [this._doctype.name, this._doctype.publicId, this._doctype.systemId] : null,
+            getPolicyName(this._policy) || this._policy,
+            suffixName || this._suffix,
+            this._suffixData,
+            this._maxAttempts === Infinity ? null : this._maxAttempts,
+            this._maxLength,
+            this._forceUniqueness
+        ], serialize);
+    }
+
+    /**
+     * Check if another instance has the same resolved parts and settings (see hashKey),
+     * without resolving the ID uniqueness.
+     * @param {*} other
+     * @returns {boolean}
+     */
+    equals(other) {
+        return other instanceof InputId && this.hashKey() === other.hashKey();
+    }
+
+    /**
+     * Compare the instance with another one (see InputId.compare).
+     * @param {InputId} other
+     * @returns {Number} A negative number, zero or a positive number.
+     */
+    compare(other) {
+        return InputId.compare(this, other);
+    }
+
+    /**
+     * Compare two instances by prefix, then by name, then by value and then by their other parts and settings,
+     * without resolving the ID uniqueness (ex: to sort form fields deterministically with Array.prototype.sort).
+     * Null parts come first and the other parts are compared by their UTF-16 code units, regardless of the locale.
+     * @param {InputId} inputIdA
+     * @param {InputId} inputIdB
+     * @returns {Number} A negative number if A comes first, a positive number if B comes first or zero if they're equal.
+     */
+    static compare(inputIdA, inputIdB) {
+        const comparePart = (partA, partB) => {
+            if (partA === partB) {
+                return 0;
+            }
+            if (partA === null || partB === null) {
+                return partA === null ? -1 : 1;
+            }
+            return String(partA) < String(partB) ? -1 : Number(String(partA) > String(partB));
+        };
+        return [
+            comparePart(inputIdA._prefix, inputIdB._prefix),
+            comparePart(inputIdA._name, inputIdB._name),
+            comparePart(getUsedPart(inputIdA, 'value'), getUsedPart(inputIdB, 'value'))
+        ]
+            .find(result => result !== 0)
+            || comparePart(inputIdA.hashKey(), inputIdB.hashKey());
+    }
+
+    /**
+     * Make a function generating InputIds with shared options (ex: the prefix, the separator,
+     * the fallback, the document or a shared registry), which are validated once.
+     * The function takes an element or options, like the constructor, and its options take precedence.
+     * If a registry is shared, the uniqueness is enforced by default, even without an element,
+     * so the IDs are unique in that registry.
+     *
+     * @param {Object} defaults The shared InputId options.
+     * @returns {Function} The function (options) returning an InputId, which "defaults" are the shared options.
+     */
+    static factory(defaults = {}) {
+        new InputId({...defaults, resolution: 'lazy'});
+        const sharedOptions = Object.freeze({...(defaults.registry ? {forceUniqueness: true} : {}), ...defaults});
+        const generate = (options = {}) => new InputId(
+            options && typeof options.nodeType === 'number'
+                ? {...sharedOptions, element: options}
+                : {...sharedOptions, ...options}
+        );
+        generate.defaults = sharedOptions;
+        return Object.freeze(generate);
+    }
+
+    /**
+     * Copy the instance with other options (ex: {prefix: "billing", separator: "-"}).
+     * The element isn't copied and can't be given, since the other parts were read from the element:
+     * an instance for another element is made with the constructor (or a factory).
+     * The copy is lazy, unless the "resolution" option is given, so its ID is only generated
+     * (and reserved in the registry) when it's converted to a string.
+     * If only the group, the value, the type or the resolution are overridden and the ID of the instance was resolved
+     * without them, the copy ID is that ID followed by the other parts, so it keeps any uniqueness suffix
+     * (ex: "color_1_red" for an option of the "color_1" select).
+     * @param {Object} options The overridden InputId options.
+     * @returns {InputId}
+     * @throws {TypeError} If an option is unknown or invalid, or the element is given.
+     */
+    with(options) {
+        const data = this.toObject();
+        if ('element' in options) {
+            throw new TypeError('The "element" option can\'t be given to a copy');
+        }
+        const unknownName = Object.keys(options).find(name => !(name in data));
+        if (unknownName !== undefined) {
+            throw new TypeError(`The "${unknownName}" option is unknown`);
+        }
+        // The base is given before an eager copy is resolved.
+        const inputId = new InputId({...data, ...options, resolution: 'lazy'});
+        inputId._base = Object.keys(options).every(name => ['group', 'value', 'type', 'resolution'].includes(name))
+            ? getCopyBase(this)
+            : null;
+        inputId._resolution = new InputIdOptions({resolution: options.resolution}).resolution;
+        return inputId._resolution === 'eager' ? inputId.resolve() : inputId;
+    }
+
     /**
      * Copy the instance which might have a different element type.
      * @param {name} type The new element type.
      * @returns {InputId}
      */
     withType(type) {
-        return new InputId(
-            {...this.toObject(), ...{ type: type } }
-        );
+        return this.with({type: type});
     }
 
     /**
@@ -120,9 +967,7 @@ module.exports = class InputId {
      * @returns {InputId}
      */
     withName(name) {
-        return new InputId(
-            {...this.toObject(), ...{ name: name } }
-        );
+        return this.with({name: name});
     }
 
     /**
@@ -131,9 +976,111 @@ module.exports = class InputId {
      * @returns {InputId}
      */
     withValue(value) {
-        return new InputId(
-            {...this.toObject(), ...{ value: value } }
+        return this.with({value: value});
+    }
+
+    /**
+     * Copy the instance which might have a different prefix.
+     * @param {String|null} prefix The new prefix.
+     * @returns {InputId}
+     */
+    withPrefix(prefix) {
+        return this.with({prefix: prefix});
+    }
+
+    /**
+     * Copy the instance which might have a different ID parts separator.
+     * @param {String} separator The new separator.
+     * @returns {InputId}
+     */
+    withSeparator(separator) {
+        return this.with({separator: separator});
+    }
+
+    /**
+     * Copy the instance which might have a different fallback.
+     * @param {String} fallback The new fallback.
+     * @returns {InputId}
+     */
+    withFallback(fallback) {
+        return this.with({fallback: fallback});
+    }
+
+    /**
+     * Copy the instance, keeping the element, to generate the ID of a related element.
+     * The related ID is the form control ID (including any uniqueness suffix) followed by the role.
+     * If the uniqueness is enforced, it's suffixed when another element has it, unless the form control
+     * already refers to that element in the ARIA attribute of the role (see setAriaReferences).
+     * @param {String|null} role The related element role (ex: "hint", "error", "controls") or null for the control itself.
+     * @returns {InputId}
+     */
+    forRole(role) {
+        const control = this._role === null ? this : this._control;
+        if (role === null && control) {
+            return control;
+        }
+        const inputId = new InputId(
+            {...this.toObject(), ...{ element: this._element, role: role, resolution: 'lazy' } }
         );
+        inputId._control = control;
+        return inputId;
+    }
+
+    /**
+     * Set the ARIA attributes of the element referring to the IDs of its related elements
+     * (ex: "aria-describedby" for the "hint" role, "aria-errormessage" for the "error" role).
+     * Existing references in those attributes are kept.
+     * @param {String[]} roles The roles of the related elements.
+     * @param {HTMLElement|undefined} element The element which gets the attributes. By default, it's the InputId element.
+     * @returns {Object} The related element IDs by role.
+     */
+    setAriaReferences(roles, element = this._element) {
+        if (!element) {
+            throw new TypeError('An element is required to set ARIA attributes');
+        }
+        const ids = {};
+        roles.forEach(role => {
+            const attribute = ariaRoles[role];
+            if (!attribute) {
+                throw new RangeError(`The "${role}" role has no ARIA attribute`);
+            }
+            const id = this.forRole(role).toString();
+            const references = (element.getAttribute(attribute) || '')
+                .split(/\s+/)
+                .filter(reference => reference);
+            if (!references.includes(id)) {
+                element.setAttribute(attribute, references.concat(id).join(' '));
+            }
+            ids[role] = id;
+        });
+        return ids;
+    }
+
+    /**
+     * Copy the instance which might have different scope segments.
+     * @param {String|String[]} scope The new scope segments.
+     * @returns {InputId}
+     */
+    withScope(scope) {
+        return this.with({scope: scope});
+    }
+
+    /**
+     * Make an instance for a child element (ex: a field of a repeater row),
+     * which scope is this instance scope and name.
+     * @param {String} name The child element name.
+     * @returns {InputId}
+     */
+    child(name) {
+        const nameSegments = this._name ? splitName(this._name, this._nameNotation) : [];
+        return this.with({
+            scope: this._scope.concat(nameSegments),
+            name: name,
+            type: null,
+            value: null,
+            group: null,
+            role: null
+        });
     }
 
     /**
@@ -141,9 +1088,7 @@ module.exports = class InputId {
      * @returns {InputId}
      */
     forceUniqueness() {
-        return new InputId(
-            {...this.toObject(), ...{ forceUniqueness: true } }
-        );
+        return this.with({forceUniqueness: true});
     }
 
     /**
@@ -151,17 +1096,30 @@ module.exports = class InputId {
      * @returns {InputId}
      */
     ignoreUniqueness() {
-        return new InputId(
-            {...this.toObject(), ...{ forceUniqueness: false } }
-        );
+        return this.with({forceUniqueness: false});
+    }
+
+    /**
+     * Release the generated ID in the registry (ex: when the element is removed),
+     * so it might be reserved by another InputId.
+     * Nothing is released if there's no registry or the ID wasn't generated yet.
+     */
+    release() {
+        if (this._registry !== null && this._string !== null) {
+            this._registry.release(this._string);
+        }
     }
 
     /**
      * Find the element with an ID as the generated ID.
-     * @returns {HTMLElement|null} A HTML element (if the element was found) or null.
+     * The element is looked up in the root (the shadow root or the document).
+     * @returns {HTMLElement|null} A HTML element (if the element was found) or null (including without a document).
      */
     getElement() {
-        return this._ownerDocument.getElementById(this.toString());
+        if (this._root === null) {
+            return null;
+        }
+        return this._root.getElementById(this.toString());
     }
 
     /**
@@ -170,6 +1128,98 @@ module.exports = class InputId {
      */
     getLabels() {
         const element = this.getElement();
-        return element ? Array.from(element.labels) : [];
+        return element ? getElementLabels(element, this._root) : [];
+    }
+
+    /**
+     * Find the elements which IDs match the generated ID, ignoring the uniqueness suffixes
+     * (ex: "phone" and "phone_2").
+     * If the instance has no value, the elements which type rule includes the value (ex: radio buttons)
+     * and which IDs are the generated ID followed by their value are included too (ex: "color_red" and "color_green").
+     * @returns {HTMLElement[]} The elements in tree order. It's always an array.
+     */
+    getElements() {
+        if (this._root === null) {
+            return [];
+        }
+        const baseId = this.ignoreUniqueness().toString();
+        const includesValues = this._value === null && this._role === null;
+        const isGroupMember = element => {
+            const memberId = new InputId({
+                ...this.toObject(),
+                ...{ name: null, type: null, value: null, role: null, element: element, forceUniqueness: false }
+            });
+            return getTypeRule(this._typeRules, memberId.toObject().type).parts.includes('value')
+                && memberId.toString() === baseId;
+        };
+        return Array.from(this._root.querySelectorAll('[id]'))
+            .filter(element => getSuffixIndex(element.id, baseId, this._separator) >= 0
+                || (
+                    includesValues
+                    && element.id.startsWith(`${baseId}${this._separator}`)
+                    && isGroupMember(element)
+                ));
+    }
+
+    /**
+     * Find the elements matching the generated ID (see getElements) with everything labelling them:
+     * their labels (including wrapping labels), the elements referred by their "aria-labelledby" attributes
+     * and the fieldset which encloses all of them, with its legend.
+     * @returns {Object} The "elements", "labels", "labelledBy" elements, "fieldset" (or null) and "legend" (or null).
+     */
+    getGroup() {
+        const elements = this.getElements();
+        const unique = list => list.filter((item, index) => list.indexOf(item) === index);
+        const labels = unique([].concat(...elements.map(element => getElementLabels(element, this._root))));
+        const labelledBy = unique([].concat(
+            ...elements.map(element => getReferencedElements(element, 'aria-labelledby', this._root))
+        ));
+        let fieldset = elements.length > 0 ? elements[0].closest('fieldset') : null;
+        while (fieldset && !elements.every(element => fieldset.contains(element))) {
+            fieldset = fieldset.parentElement ? fieldset.parentElement.closest('fieldset') : null;
+        }
+        const legend = fieldset
+            ? Array.from(fieldset.children).find(child => child.tagName.toLowerCase() === 'legend') || null
+            : null;
+        return {
+            elements: elements,
+            labels: labels,
+            labelledBy: labelledBy,
+            fieldset: fieldset,
+            legend: legend
+        };
+    }
+
+    /**
+     * Compute the accessible name of the element with an ID as the generated ID, by order of preference:
+     * the text of the elements referred by its "aria-labelledby" attribute, its "aria-label" attribute,
+     * the text of its labels, its content (for buttons), its "title" or "placeholder" attribute.
+     * If there's no such element but a group of elements (ex: radio buttons), it's the text of their legend.
+     * It's a simplification of the accessible name computation, which ignores CSS and hidden elements.
+     * @returns {String|null} The accessible name or null if there's none.
+     */
+    getAccessibleName() {
+        const element = this.getElement();
+        if (!element) {
+            const legend = this.getGroup().legend;
+            return legend && normalizeText(legend.textContent) || null;
+        }
+        const sources = [
+            () => getReferencedElements(element, 'aria-labelledby', this._root)
+                .map(referencedElement => referencedElement.textContent)
+                .join(' '),
+            () => element.getAttribute('aria-label'),
+            () => getElementLabels(element, this._root).map(getLabelText).join(' '),
+            () => element.tagName.toLowerCase() === 'button' ? element.textContent : null,
+            () => element.getAttribute('title'),
+            () => element.getAttribute('placeholder')
+        ];
+        for (const source of sources) {
+            const name = normalizeText(source() || '');
+            if (name) {
+                return name;
+            }
+        }
+        return null;
     }
 };
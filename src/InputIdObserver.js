@@ -0,0 +1,175 @@
+const CompositeIdRegistry = require('./CompositeIdRegistry');
+const DomIdRegistry = require('./DomIdRegistry');
+const MemoryIdRegistry = require('./MemoryIdRegistry');
+const labelControls = require('./labelControls');
+const {getIdRoot, getLabelableControls} = require('./functions');
+
+/**
+ * Keeps the form controls inside a root element with IDs and associated labels
+ * while the DOM changes:
+ * added controls get IDs, controls which "name", "value" or "type" attributes change
+ * get new IDs and the IDs of removed controls are released.
+ */
+module.exports = class InputIdObserver {
+    /**
+     * @param {Function|null} callback A function called with the labelControls report
+     *  of each processed batch of changes and the observer.
+     * @param {Object} options InputId options shared by every control (ex: prefix, separator, fallback).
+     * @param {Number|null|undefined} options.delay Milliseconds to wait for more changes before processing them
+     *  or null to process them as soon as they're observed.
+     */
+    constructor(callback = null, options = {}) {
+        const {delay = null, ...labelOptions} = options;
+        if (delay !== null && !(Number.isInteger(delay) && delay >= 0)) {
+            throw new RangeError('The "delay" option value must be a non-negative integer or null');
+        }
+        this._callback = callback;
+        this._delay = delay;
+        this._options = labelOptions;
+        this._root = null;
+        this._registry = null;
+        this._observer = null;
+        this._records = [];
+        this._timeout = null;
+        this._elements = new WeakSet();
+        Object.seal(this);
+    }
+
+    /**
+     * Assign IDs to the controls inside a root element and start observing its changes.
+     * @param {HTMLElement} root The root element (ex: a form or the document body).
+     * @returns {Object[]} The labelControls report of the controls which were already there.
+     */
+    observe(root) {
+        this.disconnect();
+        this._root = root;
+        this._registry = this._options.registry || new CompositeIdRegistry([
+            new DomIdRegistry(getIdRoot(root)),
+            new MemoryIdRegistry()
+        ]);
+        this._observer = new MutationObserver(records => this._schedule(records));
+        this._observer.observe(root, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['name', 'value', 'type']
+        });
+        return this._notify(this._label(getLabelableControls(root, false), false));
+    }
+
+    /**
+     * Process the pending changes now.
+     * @returns {Object[]} The labelControls report of the changed controls.
+     */
+    flush() {
+        if (this._observer === null) {
+            return [];
+        }
+        clearTimeout(this._timeout);
+        this._timeout = null;
+        const records = this._records.concat(this._observer.takeRecords());
+        this._records = [];
+        return this._process(records);
+    }
+
+    /**
+     * Stop observing the changes, discarding the pending ones.
+     */
+    disconnect() {
+        if (this._observer !== null) {
+            this._observer.disconnect();
+        }
+        clearTimeout(this._timeout);
+        this._observer = null;
+        this._timeout = null;
+        this._records = [];
+    }
+
+    /**
+     * @param {MutationRecord[]} records The observed changes.
+     */
+    _schedule(records) {
+        this._records = this._records.concat(records);
+        if (this._delay === null) {
+            this.flush();
+        } else {
+            clearTimeout(this._timeout);
+            this._timeout = setTimeout(() => this.flush(), this._delay);
+        }
+    }
+
+    /**
+     * @param {MutationRecord[]} records The observed changes.
+     * @returns {Object[]} The labelControls report of the changed controls.
+     */
+    _process(records) {
+        const changedControls = new Set();
+        const addedControls = new Set();
+        records.forEach(record => {
+            if (record.type === 'attributes') {
+                changedControls.add(record.target);
+                return;
+            }
+            Array.from(record.removedNodes)
+                .filter(node => node.nodeType === 1)
+                .forEach(node => getLabelableControls(node, true).forEach(control => {
+                    addedControls.delete(control);
+                    this._release(control);
+                }));
+            Array.from(record.addedNodes)
+                .filter(node => node.nodeType === 1)
+                .forEach(node => getLabelableControls(node, true).forEach(control => addedControls.add(control)));
+        });
+        const isObserved = control => this._root.contains(control);
+        const recomputedControls = Array.from(changedControls)
+            .filter(control => isObserved(control) && this._elements.has(control));
+        const newControls = Array.from(addedControls)
+            .filter(control => isObserved(control) && !recomputedControls.includes(control));
+        return this._notify(
+            this._label(recomputedControls, true).concat(this._label(newControls, false))
+        );
+    }
+
+    /**
+     * @param {HTMLElement[]} controls The controls which get IDs.
+     * @param {boolean} overwrite Should the existing IDs be replaced?
+     * @returns {Object[]} The labelControls report.
+     */
+    _label(controls, overwrite) {
+        if (controls.length === 0) {
+            return [];
+        }
+        if (overwrite) {
+            controls.forEach(control => this._registry.release(control.id));
+        }
+        const report = labelControls(this._root, {
+            ...this._options,
+            registry: this._registry,
+            controls: controls,
+            overwrite: overwrite
+        });
+        report.forEach(entry => this._elements.add(entry.element));
+        return report;
+    }
+
+    /**
+     * @param {Object[]} report The labelControls report.
+     * @returns {Object[]} The same report.
+     */
+    _notify(report) {
+        if (this._callback && report.length > 0) {
+            this._callback(report, this);
+        }
+        return report;
+    }
+
+    /**
+     * @param {HTMLElement} control A removed control.
+     */
+    _release(control) {
+        if (this._elements.has(control)) {
+            this._registry.release(control.id);
+            this._elements.delete(control);
+        }
+    }
+};
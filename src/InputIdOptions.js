@@ -1,4 +1,56 @@
-const {getOptionSelectElement} = require('./functions');
+const doctypes = require('./doctypes');
+const {
+    getDatalistInputElement,
+    getFormElement,
+    getIdRoot,
+    getInheritedAttribute,
+    getOptionGroupElement,
+    getOptionSelectElement,
+    getScopeNames,
+    getTypeRule
+} = require('./functions');
+const {getPolicy, validatePolicy} = require('./policies');
+const suffixStrategies = require('./suffixStrategies');
+const typeRules = require('./typeRules');
+
+/**
+ * Check if a value is a DOM node, without requiring the DOM global interfaces.
+ * @param {*} value
+ * @param {Number|undefined} nodeType The required node type.
+ * @returns {boolean}
+ */
+function isNode(value, nodeType) {
+    return typeof value === 'object'
+        && value !== null
+        && typeof value.nodeType === 'number'
+        && (nodeType === undefined || value.nodeType === nodeType);
+}
+
+/**
+ * Validate an ID parts separator.
+ * @param {*} separator
+ * @param {String} subject The option or the attribute which has the separator, for the error message.
+ * @returns {String} The separator.
+ */
+function validateSeparator(separator, subject) {
+    if (!['_', '-', ''].includes(separator)) {
+        throw new RangeError(`The ${subject} value must be a "", or "_", or "-"`);
+    }
+    return separator;
+}
+
+/**
+ * Validate a fallback base ID.
+ * @param {*} fallback
+ * @param {String} subject The option or the attribute which has the fallback, for the error message.
+ * @returns {String} The fallback.
+ */
+function validateFallback(fallback, subject) {
+    if (typeof fallback !== 'string' || !fallback.match(/^[a-zA-Z][a-zA-Z0-9_-]*$/g)) {
+        throw new TypeError(`The ${subject} value is invalid`);
+    }
+    return fallback;
+}
 
 module.exports = class InputIdOptions {
     constructor(options) {
@@ -6,13 +58,22 @@ module.exports = class InputIdOptions {
         Object.freeze(this);
     }
 
-    get element() {
-        let hmtlElement = this.options instanceof Object
-            ? this.options.element
+    /**
+     * @returns {Object} The explicit options, which are empty if an element was given instead.
+     */
+    get settings() {
+        return isNode(this.options)
+            ? {}
             : this.options;
+    }
+
+    get element() {
+        let hmtlElement = isNode(this.options)
+            ? this.options
+            : this.options.element;
         if (
             hmtlElement
-            && !(hmtlElement instanceof HTMLElement)
+            && !isNode(hmtlElement, 1)
         ) {
             throw new TypeError('The "element" option value must be HTMLElement');
         }
@@ -20,14 +81,17 @@ module.exports = class InputIdOptions {
     }
 
     get type() {
-        if (this.options.type) {
-            return this.options.type;
+        if (this.settings.type) {
+            return this.settings.type;
         }
         const element = this.element;
         if (element) {
-            if (element.type) {
+            if (typeof element.type === 'string' && element.type) {
                 return element.type;
             }
+            if (element.getAttribute('type')) {
+                return element.getAttribute('type');
+            }
             if (element.tagName) {
                 return element.tagName.toLowerCase();
             }
@@ -36,8 +100,8 @@ module.exports = class InputIdOptions {
     }
 
     get name() {
-        if (this.options.name) {
-            return this.options.name;
+        if (this.settings.name) {
+            return this.settings.name;
         }
         const element = this.element;
         if (
@@ -47,65 +111,371 @@ module.exports = class InputIdOptions {
         ) {
             return element.dataset.name;
         }
-        if (this.type === 'option') {
-            const selectElement = getOptionSelectElement(this.options);
-            return selectElement ? selectElement.name : null;
+        if (element && typeof element.name === 'string' && element.name) {
+            return element.name;
+        }
+        if (element && element.getAttribute('name')) {
+            return element.getAttribute('name');
+        }
+        if (element && ['option', 'optgroup'].includes(element.tagName.toLowerCase())) {
+            const ownerElement = getOptionSelectElement(element) || getDatalistInputElement(element);
+            return ownerElement && ownerElement.name ? ownerElement.name : null;
         }
         return null;
     }
 
-    get value() {
-        return 'value' in this.options
-            ? this.options.value
+    /**
+     * @returns {String|null} The option group label: the "group" option or the label of the option "optgroup".
+     */
+    get group() {
+        if ('group' in this.settings) {
+            return this.settings.group || null;
+        }
+        const element = this.element;
+        const groupElement = element && element.tagName.toLowerCase() === 'option'
+            ? getOptionGroupElement(element)
             : null;
+        return groupElement && groupElement.label ? groupElement.label : null;
+    }
+
+    get nameNotation() {
+        if (!this.settings.nameNotation) {
+            return 'flat';
+        }
+        if (!['flat', 'brackets', 'dots', 'auto'].includes(this.settings.nameNotation)) {
+            throw new RangeError('The "nameNotation" option value must be "flat", or "brackets", or "dots" or "auto"');
+        }
+        return this.settings.nameNotation;
+    }
+
+    get scope() {
+        const scope = this.settings.scope;
+        if (scope === undefined || scope === null || scope === false) {
+            return [];
+        }
+        if (scope === true) {
+            return this.element ? getScopeNames(this.element) : [];
+        }
+        const segments = Array.isArray(scope) ? scope : [scope];
+        if (!segments.every(segment => ['string', 'number'].includes(typeof segment))) {
+            throw new TypeError('The "scope" option value must be a boolean, a String or an array of Strings');
+        }
+        return segments.map(String);
+    }
+
+    get value() {
+        if ('value' in this.settings) {
+            return this.settings.value;
+        }
+        const element = this.element;
+        if (!element) {
+            return null;
+        }
+        const valueSource = this.typeRule.value;
+        if (valueSource) {
+            return typeof element[valueSource] === 'string'
+                ? element[valueSource]
+                : element.getAttribute(valueSource);
+        }
+        if (['checkbox', 'radio'].includes(element.type) && !element.hasAttribute('value')) {
+            // The default "on" value isn't a value given to the element.
+            return null;
+        }
+        if ('value' in element) {
+            return element.value;
+        }
+        return element.getAttribute('value');
+    }
+
+    /**
+     * @returns {Object} The default type rules, extended by the "typeRules" option.
+     */
+    get typeRules() {
+        const extraRules = this.settings.typeRules;
+        // The copies of an instance (see InputId.toObject) give the default rules.
+        if (!extraRules || extraRules === typeRules) {
+            return typeRules;
+        }
+        if (typeof extraRules !== 'object') {
+            throw new TypeError('The "typeRules" option value must be an object of rules by type');
+        }
+        Object.keys(extraRules).forEach(type => {
+            const rule = extraRules[type];
+            if (
+                !rule
+                || !Array.isArray(rule.parts)
+                || !rule.parts.every(part => ['name', 'group', 'value', 'type'].includes(part))
+            ) {
+                throw new RangeError(`The "${type}" type rule parts must be "name", "group", "value" or "type"`);
+            }
+            if (rule.value !== undefined && typeof rule.value !== 'string') {
+                throw new TypeError(`The "${type}" type rule value must be a property or an attribute name`);
+            }
+        });
+        return {...typeRules, ...extraRules};
+    }
+
+    /**
+     * @returns {Object} The rule of the element type.
+     */
+    get typeRule() {
+        return getTypeRule(this.typeRules, this.type);
+    }
+
+    get role() {
+        const role = this.settings.role;
+        if (!role) {
+            return null;
+        }
+        if (typeof role !== 'string') {
+            throw new TypeError('The "role" option value must be a String');
+        }
+        return role;
     }
 
     get ownerDocument() {
-        let ownerDocument = global.document;
-        if (this.options.ownerDocument) {
-            ownerDocument = this.options.ownerDocument;
+        let ownerDocument = global.document || null;
+        if ('ownerDocument' in this.settings) {
+            ownerDocument = this.settings.ownerDocument;
+        } else if (isNode(this.settings.root)) {
+            ownerDocument = this.settings.root.ownerDocument || this.settings.root;
         } else if (this.element) {
             ownerDocument = this.element.ownerDocument;
         }
-        if (!(ownerDocument instanceof HTMLDocument)) {
-            throw new TypeError('The "ownerDocument" option value must be HTMLDocument');
+        if (ownerDocument !== null && !isNode(ownerDocument, 9)) {
+            throw new TypeError('The "ownerDocument" option value must be HTMLDocument or null');
         }
         return ownerDocument;
     }
 
+    /**
+     * @returns {Document|ShadowRoot|null} The tree where the IDs are unique and looked up:
+     *  the "root" option, the shadow root which contains the element or the owner document.
+     */
+    get root() {
+        if ('root' in this.settings && this.settings.root !== undefined) {
+            const root = this.settings.root;
+            if (root !== null && !(isNode(root, 9) || isNode(root, 11))) {
+                throw new TypeError('The "root" option value must be a Document, a ShadowRoot or null');
+            }
+            return root;
+        }
+        const ownerDocument = this.ownerDocument;
+        const element = this.element;
+        if (ownerDocument === null || !element) {
+            return ownerDocument;
+        }
+        const idRoot = getIdRoot(element);
+        return idRoot && idRoot.nodeType === 11 ? idRoot : ownerDocument;
+    }
+
+    get doctype() {
+        const doctype = this.settings.doctype;
+        if (!doctype) {
+            const ownerDocument = this.ownerDocument;
+            return ownerDocument ? ownerDocument.doctype : doctypes.html5;
+        }
+        if (typeof doctype === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(doctypes, doctype)) {
+                throw new RangeError('The "doctype" option value must be "html5", or "html4" or a DocumentType');
+            }
+            return doctypes[doctype];
+        }
+        if (typeof doctype.name !== 'string') {
+            throw new TypeError('The "doctype" option value must be "html5", or "html4" or a DocumentType');
+        }
+        return doctype;
+    }
+
+    get policy() {
+        const policy = this.settings.policy;
+        if (!policy) {
+            return getPolicy('auto');
+        }
+        return typeof policy === 'string'
+            ? getPolicy(policy)
+            : validatePolicy(policy);
+    }
+
+    get registry() {
+        const registry = this.settings.registry;
+        if (!registry) {
+            return null;
+        }
+        if (!['has', 'reserve', 'release', 'clear'].every(method => typeof registry[method] === 'function')) {
+            throw new TypeError('The "registry" option value must have "has", "reserve", "release" and "clear" methods');
+        }
+        return registry;
+    }
+
+    /**
+     * @param {String} name The setting name (ex: "prefix").
+     * @returns {String|null} The "data-inputid-*" attribute value of the element or its nearest ancestor,
+     *  or null if there's no element or none of them has the attribute.
+     */
+    inheritedSetting(name) {
+        const element = this.element;
+        return element ? getInheritedAttribute(element, `data-inputid-${name}`) : null;
+    }
+
     get prefix() {
-        if (this.options.prefix) {
-            return this.options.prefix;
+        if (this.settings.prefix) {
+            return this.settings.prefix;
+        }
+        if (this.settings.form && this.settings.form.id) {
+            return this.settings.form.id;
         }
-        if (this.options.form && this.options.form.id) {
-            return this.options.form.id;
+        const inheritedPrefix = this.inheritedSetting('prefix');
+        if (inheritedPrefix !== null) {
+            return inheritedPrefix || null;
+        }
+        const formElement = this.element
+            ? getFormElement(this.element)
+            : null;
+        if (formElement && formElement.id) {
+            return formElement.id;
         }
         return null;
     }
 
     get separator() {
-        if (!('separator' in this.options)) {
-            return '_';
-        }
-        if (!['_', '-', ''].includes(this.options.separator)) {
-            throw new RangeError('The "separator" option value must be a "", or "_", or "-"');
+        if ('separator' in this.settings) {
+            return validateSeparator(this.settings.separator, '"separator" option');
         }
-        return this.options.separator;
+        const inheritedSeparator = this.inheritedSetting('separator');
+        return inheritedSeparator === null
+            ? '_'
+            : validateSeparator(inheritedSeparator, '"data-inputid-separator" attribute');
     }
 
     get fallback() {
-        if (!('fallback' in this.options)) {
-            return 'f';
+        if ('fallback' in this.settings) {
+            return validateFallback(this.settings.fallback, '"fallback" option');
+        }
+        const inheritedFallback = this.inheritedSetting('fallback');
+        return inheritedFallback === null
+            ? 'f'
+            : validateFallback(inheritedFallback, '"data-inputid-fallback" attribute');
+    }
+
+    get suffix() {
+        const suffix = this.settings.suffix;
+        if (!suffix) {
+            return suffixStrategies.sequential;
+        }
+        if (typeof suffix === 'function') {
+            return suffix;
+        }
+        if (!Object.prototype.hasOwnProperty.call(suffixStrategies, suffix)) {
+            throw new RangeError('The "suffix" option value must be "sequential", or "hash" or a function');
+        }
+        return suffixStrategies[suffix];
+    }
+
+    get suffixData() {
+        return 'suffixData' in this.settings
+            ? this.settings.suffixData
+            : null;
+    }
+
+    get maxAttempts() {
+        if (!('maxAttempts' in this.settings)) {
+            return 1000;
         }
-        if (!this.options.fallback.match(/^[a-zA-Z][a-zA-Z0-9_-]*$/g)) {
-            throw new TypeError('The "fallback" option value is invalid');
+        const maxAttempts = this.settings.maxAttempts;
+        if (maxAttempts !== Infinity && !(Number.isInteger(maxAttempts) && maxAttempts >= 0)) {
+            throw new RangeError('The "maxAttempts" option value must be a non-negative integer or Infinity');
         }
-        return this.options.fallback;
+        return maxAttempts;
+    }
+
+    get maxLength() {
+        const maxLength = this.settings.maxLength;
+        if (maxLength === undefined || maxLength === null || maxLength === Infinity) {
+            return null;
+        }
+        if (!Number.isInteger(maxLength) || maxLength < 10) {
+            throw new RangeError('The "maxLength" option value must be an integer greater than or equal to 10');
+        }
+        return maxLength;
+    }
+
+    /**
+     * @returns {String|Function|null} The template (ex: "{prefix}--{name}__{value}") or the function
+     *  formatting the ID parts, or null to join the parts by the separator.
+     */
+    get format() {
+        const format = this.settings.format;
+        if (format === undefined || format === null || typeof format === 'function') {
+            return format || null;
+        }
+        if (typeof format !== 'string') {
+            throw new TypeError('The "format" option value must be a String or a Function');
+        }
+        const tokens = format.split(/\{(\w+)\}/);
+        const unknownPlaceholder = tokens
+            .filter((token, index) => index % 2 === 1)
+            .find(name => !['prefix', 'scope', 'name', 'group', 'value', 'type'].includes(name));
+        if (unknownPlaceholder !== undefined) {
+            throw new RangeError(`The "{${unknownPlaceholder}}" placeholder of the "format" option value is unknown`);
+        }
+        if (!tokens.every((token, index) => index % 2 === 1 || /^[a-zA-Z0-9_-]*$/.test(token))) {
+            throw new RangeError('The "format" option value text between the placeholders must only have letters, digits, "_" and "-"');
+        }
+        return format;
+    }
+
+    get collisionMode() {
+        const collisionMode = this.settings.collisionMode;
+        if (!collisionMode) {
+            return 'silent';
+        }
+        if (!['silent', 'warn', 'strict'].includes(collisionMode)) {
+            throw new RangeError('The "collisionMode" option value must be "silent", or "warn" or "strict"');
+        }
+        return collisionMode;
+    }
+
+    get logger() {
+        const logger = this.settings.logger;
+        if (!logger) {
+            return global.console;
+        }
+        if (typeof logger.warn !== 'function') {
+            throw new TypeError('The "logger" option value must have a "warn" method');
+        }
+        return logger;
+    }
+
+    get id() {
+        const id = this.settings.id;
+        if (id === undefined || id === null) {
+            return null;
+        }
+        if (typeof id !== 'string' || id === '') {
+            throw new TypeError('The "id" option value must be a non-empty String');
+        }
+        return id;
+    }
+
+    get resolution() {
+        const resolution = this.settings.resolution;
+        if (!resolution) {
+            return 'lazy';
+        }
+        if (!['lazy', 'eager'].includes(resolution)) {
+            throw new RangeError('The "resolution" option value must be "lazy" or "eager"');
+        }
+        return resolution;
     }
 
     get forceUniqueness() {
-        if ('forceUniqueness' in this.options) {
-            return !!this.options.forceUniqueness;
+        if ('forceUniqueness' in this.settings) {
+            return !!this.settings.forceUniqueness;
+        }
+        const inheritedUniqueness = this.inheritedSetting('unique');
+        if (inheritedUniqueness !== null) {
+            return inheritedUniqueness !== 'false';
         }
         return !!this.element || !this.name;
     }
@@ -0,0 +1,50 @@
+/**
+ * A registry of IDs reserved in memory, which doesn't require a document.
+ * Each ID might be reserved by an owner (ex: an element).
+ */
+module.exports = class MemoryIdRegistry {
+    constructor() {
+        this._owners = new Map();
+        Object.freeze(this);
+    }
+
+    /**
+     * Check if an ID is reserved by another owner.
+     * @param {String} id The ID.
+     * @param {*} owner The owner which might have reserved the ID (ex: an element).
+     * @returns {boolean}
+     */
+    has(id, owner = null) {
+        return this._owners.has(id)
+            && (owner === null || this._owners.get(id) !== owner);
+    }
+
+    /**
+     * Reserve an ID, unless it's reserved by another owner.
+     * @param {String} id The ID.
+     * @param {*} owner The owner of the ID (ex: an element).
+     * @returns {boolean} true if the ID was reserved.
+     */
+    reserve(id, owner = null) {
+        if (this.has(id, owner)) {
+            return false;
+        }
+        this._owners.set(id, owner);
+        return true;
+    }
+
+    /**
+     * Release a reserved ID.
+     * @param {String} id The ID.
+     */
+    release(id) {
+        this._owners.delete(id);
+    }
+
+    /**
+     * Release all the reserved IDs.
+     */
+    clear() {
+        this._owners.clear();
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * The ARIA attributes referring to the elements related to a form control, by role.
+ * @see {@link https://www.w3.org/TR/wai-aria-1.2/#aria-describedby}
+ * @see {@link https://www.w3.org/TR/wai-aria-1.2/#aria-errormessage}
+ * @see {@link https://www.w3.org/TR/wai-aria-1.2/#aria-controls}
+ * @see {@link https://www.w3.org/TR/wai-aria-1.2/#aria-labelledby}
+ */
+module.exports = Object.freeze({
+    hint: 'aria-describedby',
+    description: 'aria-describedby',
+    error: 'aria-errormessage',
+    controls: 'aria-controls',
+    listbox: 'aria-controls',
+    popup: 'aria-controls',
+    label: 'aria-labelledby'
+});
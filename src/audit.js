@@ -0,0 +1,95 @@
+const AuditReport = require('./AuditReport');
+const InputId = require('./InputId');
+const InputIdOptions = require('./InputIdOptions');
+const {getIdRoot, getLabelableControls, getSuffixIndex, isValidDocumentId} = require('./functions');
+
+/**
+ * Check if a form control has an accessible label: an associated label, an "aria-label"
+ * attribute, an "aria-labelledby" attribute referring to existing elements, a "title"
+ * attribute (the last resort of the accessible name computation) or, for buttons, their content.
+ * @see {@link https://www.w3.org/TR/accname-1.2/#step2I}
+ *
+ * @param {HTMLElement} element The form control.
+ * @param {Document|ShadowRoot} idRoot The tree where the IDs are looked up.
+ * @returns {boolean}
+ */
+function hasAccessibleLabel(element, idRoot) {
+    if (element.labels && element.labels.length > 0) {
+        return true;
+    }
+    if ((element.getAttribute('aria-label') || '').trim()) {
+        return true;
+    }
+    const labelledBy = (element.getAttribute('aria-labelledby') || '')
+        .split(/\s+/)
+        .filter(id => id);
+    if (labelledBy.length > 0 && labelledBy.every(id => idRoot.getElementById(id))) {
+        return true;
+    }
+    if ((element.getAttribute('title') || '').trim()) {
+        return true;
+    }
+    if (element.tagName.toLowerCase() === 'button') {
+        return element.textContent.trim().length > 0;
+    }
+    if (['submit', 'reset', 'button'].includes(element.type)) {
+        return true;
+    }
+    return element.type === 'image' && !!element.alt;
+}
+
+/**
+ * Audit the IDs and the labels of a document or an element, using the same rules InputId uses.
+ * The report has duplicate IDs, IDs which are invalid for the document type, labels which
+ * "for" attribute refers to nothing, form controls without an accessible label and
+ * form control IDs which are not the ones InputId would generate (ignoring uniqueness suffixes).
+ *
+ * @param {Document|ShadowRoot|HTMLElement} root The audited document, shadow root or element.
+ * @param {Object} options InputId options used to generate the expected IDs (ex: prefix, separator, policy).
+ * @returns {AuditReport}
+ */
+function audit(root, options = {}) {
+    const ownerDocument = root.ownerDocument || root;
+    const idRoot = getIdRoot(root);
+    const resolvedOptions = new InputIdOptions({ownerDocument: ownerDocument, ...options});
+    const doctype = resolvedOptions.doctype;
+    const elementsWithId = Array.from(root.querySelectorAll('[id]'));
+    const elementsById = new Map();
+    elementsWithId.forEach(element => {
+        elementsById.set(element.id, (elementsById.get(element.id) || []).concat(element));
+    });
+    const controls = getLabelableControls(root, root.nodeType === 1);
+    return new AuditReport({
+        duplicateIds: Array.from(elementsById.entries())
+            .filter(([, elements]) => elements.length > 1)
+            .map(([id, elements]) => ({id: id, elements: elements})),
+        invalidIds: elementsWithId
+            .filter(element => !isValidDocumentId(element.id, doctype))
+            .map(element => ({id: element.id, element: element})),
+        orphanedLabels: Array.from(root.querySelectorAll('label[for]'))
+            .filter(label => !idRoot.getElementById(label.htmlFor))
+            .map(label => ({label: label, htmlFor: label.htmlFor})),
+        unlabelledControls: controls
+            .filter(element => !hasAccessibleLabel(element, idRoot))
+            .map(element => ({element: element})),
+        unexpectedIds: controls
+            .filter(element => element.id)
+            .map(element => ({
+                element: element,
+                id: element.id,
+                expectedId: new InputId({
+                    ownerDocument: ownerDocument,
+                    ...options,
+                    element: element,
+                    forceUniqueness: false
+                }).toString()
+            }))
+            .filter(issue => getSuffixIndex(issue.id, issue.expectedId, new InputIdOptions({
+                ownerDocument: ownerDocument,
+                ...options,
+                element: issue.element
+            }).separator) < 0)
+    });
+}
+
+module.exports = audit;
@@ -0,0 +1,17 @@
+/**
+ * The document types which can be given instead of a document, by flavour.
+ * @see {@link https://html.spec.whatwg.org/multipage/syntax.html#the-doctype}
+ * @see {@link https://www.w3.org/TR/html4/struct/global.html#h-7.2}
+ */
+module.exports = Object.freeze({
+    html5: Object.freeze({
+        name: 'html',
+        publicId: '',
+        systemId: ''
+    }),
+    html4: Object.freeze({
+        name: 'html',
+        publicId: '-//W3C//DTD HTML 4.01//EN',
+        systemId: 'http://www.w3.org/TR/html4/strict.dtd'
+    })
+});
@@ -1,38 +1,215 @@
+const DomIdRegistry = require('./DomIdRegistry');
+const {resolvePolicy} = require('./policies');
+
+/**
+ * Selector matching the labelable form controls.
+ * @see {@link https://html.spec.whatwg.org/multipage/forms.html#category-label}
+ */
+const LABELABLE_SELECTOR = [
+    'button',
+    'input:not([type="hidden"])',
+    'meter',
+    'output',
+    'progress',
+    'select',
+    'textarea'
+].join(', ');
+
+/**
+ * Check if a document type is the HTML5 document type.
+ * A missing document type is considered HTML5.
+ * 
+ * @param {DocumentType|null} doctype The document type.
+ * @returns {boolean}
+ */
+function isHtml5Doctype(doctype) {
+    return !doctype || doctype.name === 'html'
+        && !doctype.publicId
+        && !doctype.systemId;
+}
+
+/**
+ * Replace or remove the invalid characters of an ID, without adding a fallback.
+ * @see clean
+ * 
+ * @param {String} uncleanedId The ID before the sanitization.
+ * @param {DocumentType|null} doctype The document type (HTML5 if it's null).
+ * @param {Object} policy A sanitization policy (see the "policies" module).
+ * @returns {String} The sanitized ID, which might be empty or start with an invalid character.
+ * @throws {RangeError} If the policy transliterates the ID, but Chinese characters (Han) are left
+ *  and they're invalid, since removing them would make IDs unrelated to the name (ex: the fallback).
+ */
+function sanitize(uncleanedId, doctype, policy = {}) {
+    const settings = resolvePolicy(policy, isHtml5Doctype(doctype));
+    let cleanedHtmlId = settings.transliterate
+        ? settings.transliterate(uncleanedId)
+        : uncleanedId;
+    const hanCharacters = settings.transliterate ? cleanedHtmlId.match(/\p{Script=Han}/gu) || [] : [];
+    if (hanCharacters.some(character => character.search(settings.invalidCharacters) !== -1)) {
+        throw new RangeError(
+            `The "${uncleanedId}" ID has Chinese characters (Han), which aren't transliterated:`
+            + ' give a romanized name or a "transliterate" function'
+        );
+    }
+    if (settings.stripMarks) {
+        cleanedHtmlId = cleanedHtmlId
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+    cleanedHtmlId = cleanedHtmlId.replace(settings.invalidCharacters, () => settings.replacement);
+    if (settings.collapseHyphens) {
+        cleanedHtmlId = cleanedHtmlId.replace(/-(-+)/g, '-');
+    }
+    cleanedHtmlId = cleanedHtmlId.replace(/^-+|-+$|^_|_$/g, '');
+    if (settings.lowercase) {
+        cleanedHtmlId = cleanedHtmlId.toLowerCase();
+    }
+    return cleanedHtmlId;
+}
+
 /**
  * Sanitize suggested element id value, enforcing a valid HTML id value.
  * Invalid characters are removed or replaced by a "-".
  * If the sanitization fails, then a fallback is used:
  * it might be used to replace the entire unsanitized ID or added as a prefix.
+ * A sanitization policy might change the rules derived from the document type.
  * @see {@link https://www.w3.org/TR/html4/types.html#type-id}
  * @see {@link https://html.spec.whatwg.org/multipage/dom.html#the-id-attribute}
  * @see {@link https://stackoverflow.com/a/79022/4067232}
  * 
  * @param {String} uncleanedId The ID before the sanitization.
- * @param {DocumentType} doctype The document type.
+ * @param {DocumentType|null} doctype The document type (HTML5 if it's null).
  * @param {String} fallback A fallback for the base ID. 
  * @param {String} separator A separator used for a prefix.
+ * @param {Object} policy A sanitization policy (see the "policies" module).
  * @returns {String} The sanitized up id value.
  */
-function clean(uncleanedId, doctype, fallback, separator) {
-    const isHtml5 = doctype.name === 'html'
-        && !doctype.publicId
-        && !doctype.systemId;
-    const invalidCharactersRegex = isHtml5
-        ? /[^0-9\p{L}\p{M}_-]/ug
-        : /[^0-9a-zA-Z_-]/g;
-    const cleanedHtmlId = uncleanedId
-        .normalize('NFKD')
-        .replace(/[\u0300-\u036f]/g, '')
-        .replace(invalidCharactersRegex, () => '-')
-        .replace(/-(-+)/g, '-')
-        .replace(/^-+|-+$|^_|_$/g, '')
-        .toLowerCase();
-    if (cleanedHtmlId.length === 0) {
+function clean(uncleanedId, doctype, fallback, separator, policy = {}) {
+    return addFallback(sanitize(uncleanedId, doctype, policy), doctype, fallback, separator, policy);
+}
+
+/**
+ * Use a fallback instead of a sanitized ID if it's empty or as a prefix if its first character is invalid.
+ * @see clean
+ * 
+ * @param {String} sanitizedId The sanitized ID.
+ * @param {DocumentType|null} doctype The document type (HTML5 if it's null).
+ * @param {String} fallback A fallback for the base ID. 
+ * @param {String} separator A separator used for a prefix.
+ * @param {Object} policy A sanitization policy (see the "policies" module).
+ * @returns {String} The ID with the fallback, if it's needed.
+ */
+function addFallback(sanitizedId, doctype, fallback, separator, policy = {}) {
+    if (sanitizedId.length === 0) {
         return fallback;
     }
-    return (!isHtml5 && cleanedHtmlId[0].match(/[^a-zA-Z]/))
-        ? `${fallback}${separator}${cleanedHtmlId}`
-        : cleanedHtmlId;
+    return hasValidFirstCharacter(sanitizedId, resolvePolicy(policy, isHtml5Doctype(doctype)))
+        ? sanitizedId
+        : `${fallback}${separator}${sanitizedId}`;
+}
+
+/**
+ * Format the parts of an ID with a template (ex: "{prefix}--{name}__{value}") or a function.
+ * The empty parts are removed with the template text between them and the previous part
+ * (or the next part, for the first one), so no separator is left dangling. The template text
+ * before the first part and after the last part is removed too, if that part is empty.
+ * 
+ * @param {String|Function} format The template or a function receiving the parts and returning
+ *  the ID or its segments, which are joined by the separator without the empty ones.
+ * @param {Object} parts The parts by placeholder name (ex: {prefix: "signup", name: "email"}).
+ * @param {String} separator The separator of the segments returned by a format function.
+ * @returns {String} The formatted ID.
+ */
+function formatId(format, parts, separator) {
+    if (typeof format === 'function') {
+        const result = format({...parts});
+        return Array.isArray(result)
+            ? result.filter(segment => segment !== null && segment !== undefined && String(segment) !== '').join(separator)
+            : String(result);
+    }
+    const tokens = format.split(/\{(\w+)\}/);
+    const texts = tokens.filter((token, index) => index % 2 === 0);
+    const names = tokens.filter((token, index) => index % 2 === 1);
+    const values = names.map(name => parts[name] || '');
+    const segments = values
+        .map((part, index) => ({text: texts[index], part: part}))
+        .filter(segment => segment.part !== '')
+        .map((segment, index) => (index === 0 ? segment.part : `${segment.text}${segment.part}`));
+    const leadingText = values.length > 0 && values[0] === '' ? '' : texts[0];
+    const trailingText = values.length > 0 && values[values.length - 1] === '' ? '' : texts[texts.length - 1];
+    return [leadingText].concat(segments, trailingText).join('');
+}
+
+/**
+ * Check if the first character of an ID is valid according to sanitization settings.
+ * 
+ * @param {String} id The ID.
+ * @param {Object} settings The resolved sanitization policy.
+ * @returns {boolean}
+ */
+function hasValidFirstCharacter(id, settings) {
+    return !settings.firstCharacter
+        || !!Array.from(id)[0].match(settings.firstCharacter);
+}
+
+/**
+ * Check if an ID is valid according to the sanitization rules of a document type and a policy,
+ * ignoring the letter case.
+ * @see clean
+ * 
+ * @param {String} id The ID.
+ * @param {DocumentType|null} doctype The document type (HTML5 if it's null).
+ * @param {Object} policy A sanitization policy (see the "policies" module).
+ * @returns {boolean}
+ */
+function isValidId(id, doctype, policy = {}) {
+    const settings = resolvePolicy(policy, isHtml5Doctype(doctype));
+    return id.length > 0
+        && id.search(settings.invalidCharacters) === -1
+        && hasValidFirstCharacter(id, settings);
+}
+
+/**
+ * Check if an ID is valid according to the document type, regardless of the sanitization rules:
+ * in HTML5, it isn't empty and it has no ASCII whitespace; in HTML4, it starts with a letter,
+ * followed by letters, digits, "-", "_", ":" and ".".
+ * @see {@link https://html.spec.whatwg.org/multipage/dom.html#the-id-attribute}
+ * @see {@link https://www.w3.org/TR/html4/types.html#type-id}
+ * 
+ * @param {String} id The ID.
+ * @param {DocumentType|null} doctype The document type (HTML5 if it's null).
+ * @returns {boolean}
+ */
+function isValidDocumentId(id, doctype) {
+    return isHtml5Doctype(doctype)
+        ? /^[^\t\n\f\r ]+$/.test(id)
+        : /^[A-Za-z][A-Za-z0-9_:.-]*$/.test(id);
+}
+
+/**
+ * Remove the fallback prefix which is added by the sanitization when the ID first character
+ * is not valid (ex: it's not a letter in non-HTML5 documents).
+ * @see clean
+ * 
+ * @param {String} cleanedId The sanitized ID.
+ * @param {DocumentType|null} doctype The document type (HTML5 if it's null).
+ * @param {String} fallback The fallback for the base ID.
+ * @param {String} separator The separator used for a prefix.
+ * @param {Object} policy A sanitization policy (see the "policies" module).
+ * @returns {String} The ID without the fallback prefix.
+ */
+function removeFallbackPrefix(cleanedId, doctype, fallback, separator, policy = {}) {
+    const settings = resolvePolicy(policy, isHtml5Doctype(doctype));
+    const fallbackPrefix = `${fallback}${separator}`;
+    const unprefixedId = cleanedId.slice(fallbackPrefix.length);
+    if (
+        !cleanedId.startsWith(fallbackPrefix)
+        || unprefixedId.length === 0
+        || hasValidFirstCharacter(unprefixedId, settings)
+    ) {
+        return cleanedId;
+    }
+    return unprefixedId;
 }
 
 /**
@@ -42,44 +219,443 @@ function clean(uncleanedId, doctype, fallback, separator) {
  * That suffix is a separator (ex: '_') and a positive integer.
  * The base ID is sanitized. A fallback base ID might be used when the sanitization
  * was not possible.
+ * The IDs might be checked in a registry (ex: a MemoryIdRegistry) instead of the document.
  * 
  * @param {String} baseId The base ID.
- * @param {Node} node A document or a element which should have the ID.
+ * @param {Node|null} node A document or a element which should have the ID.
  * @param {String} fallback A fallback for the base ID. 
  * @param {String} separator A separator used for a suffix.
+ * @param {Object} options
+ * @param {DocumentType|null|undefined} options.doctype The document type, if it's not the node document type.
+ * @param {Object|null|undefined} options.registry A registry checking if an ID is taken.
+ *  By default, it's a DomIdRegistry for the root.
+ * @param {Document|ShadowRoot|null|undefined} options.root The tree where the IDs are unique.
+ *  By default, it's the shadow root which contains the node or the node document.
+ * @param {Function|undefined} options.suffix A function returning the suffix for an attempt number
+ *  and a context (the base ID, the element and the suffix data). By default, it's the attempt number.
+ * @param {*} options.suffixData Data used by the suffix function.
+ * @param {Number|undefined} options.maxAttempts The maximum number of suffixed IDs attempts (1000 by default).
+ * @param {Object|undefined} options.policy A sanitization policy (see the "policies" module).
+ * @param {Number|null|undefined} options.maxLength The maximum ID length, including the suffix.
+ * @param {*} options.owner The owner of the ID in the registry, if it's not the element
+ *  (ex: the form control ID, for the ID of a related element without the form control element).
+ * @param {boolean|undefined} options.sanitized Is the base ID already sanitized, with any fallback (ex: a formatted ID)?
  * @returns {String} The generated ID.
+ * @throws {RangeError} If a unique ID was not found after the maximum number of attempts.
  */
-function generateUniqueFromBaseId(baseId, node, fallback, separator) {
-    const ownerDocument = node.ownerDocument || node;
-    const cleanedBaseId = clean(baseId, ownerDocument.doctype, fallback, separator);
-    let idAttempt = cleanedBaseId;
-    for (let attemptNumber = 1;;++attemptNumber) {
-        const elementWithId = ownerDocument.getElementById(idAttempt);
-        if (!elementWithId || elementWithId === node) {
-            break;
+function generateUniqueFromBaseId(baseId, node, fallback, separator, options = {}) {
+    const ownerDocument = node ? node.ownerDocument || node : null;
+    const doctype = 'doctype' in options
+        ? options.doctype
+        : ownerDocument.doctype;
+    const element = node && node.nodeType === 1 ? node : null;
+    const owner = 'owner' in options ? options.owner : element;
+    const registry = options.registry || new DomIdRegistry(options.root || getIdRoot(node));
+    const suffix = options.suffix || (attemptNumber => String(attemptNumber));
+    const maxAttempts = 'maxAttempts' in options ? options.maxAttempts : 1000;
+    const maxLength = options.maxLength || null;
+    const cleanedBaseId = options.sanitized
+        ? baseId
+        : clean(baseId, doctype, fallback, separator, options.policy);
+    const context = {
+        baseId: cleanedBaseId,
+        element: element,
+        data: options.suffixData
+    };
+    let idAttempt = truncate(cleanedBaseId, maxLength, separator);
+    for (let attemptNumber = 1; registry.has(idAttempt, owner); ++attemptNumber) {
+        if (attemptNumber > maxAttempts) {
+            throw new RangeError(
+                `A unique ID was not found for "${cleanedBaseId}" after ${maxAttempts} attempts`
+            );
         }
-        idAttempt = `${cleanedBaseId}${separator}${attemptNumber}`;
+        // The suffix is sanitized after the base ID last character, since the base ID might have
+        // sequences which the sanitization would change (ex: the "--" of a formatted ID).
+        const lastCharacter = Array.from(cleanedBaseId).pop();
+        const cleanedSuffix = sanitize(
+            `${lastCharacter}${separator}${suffix(attemptNumber, context)}`,
+            doctype,
+            options.policy
+        ).slice(lastCharacter.length);
+        const suffixLength = Array.from(cleanedSuffix).length;
+        idAttempt = maxLength === null
+            ? `${cleanedBaseId}${cleanedSuffix}`
+            : `${truncate(cleanedBaseId, maxLength - suffixLength, separator)}${cleanedSuffix}`;
     }
     return idAttempt;
 }
 
 /**
- * Get the "select" element associated with a specified "option" element.
+ * Generate a short hash of a string (32 bits FNV-1a in base 36).
+ * It's stable, but it's not meant to be cryptographically secure.
+ * @see {@link http://www.isthe.com/chongo/tech/comp/fnv/}
  * 
- * @param {HTMLOptionElement} optionElement The specified "option" element.
- * @returns {HTMLSelectElement|null} The "select" element or null.
+ * @param {String} string The hashed string.
+ * @returns {String} The hash, with only lowercase letters and digits.
  */
-function getOptionSelectElement(optionElement) {
-    for (let ancestor = optionElement.parentNode; ancestor; ancestor = optionElement.parentNode) {
-        if (ancestor.tagName.toLowerCase() === 'select') {
+function hashString(string) {
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < string.length; ++index) {
+        hash ^= string.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * The length of the hash which ends a truncated ID.
+ */
+const TRUNCATION_HASH_LENGTH = 7;
+
+/**
+ * Truncate an ID deterministically, if it's longer than a maximum length.
+ * The truncated ID ends with a separator and a hash of the entire ID, so distinct long IDs
+ * are still distinct after being truncated. The hash is shorter if the maximum length
+ * doesn't leave room for it and a character (ex: when a long uniqueness suffix is appended).
+ * The length is the number of Unicode code points.
+ * 
+ * @param {String} id The sanitized ID.
+ * @param {Number|null} maxLength The maximum length or null if there's no maximum.
+ * @param {String} separator The separator used before the hash.
+ * @returns {String} The ID or the truncated ID.
+ * @throws {RangeError} If the maximum length is too short to truncate the ID.
+ */
+function truncate(id, maxLength, separator) {
+    const characters = Array.from(id);
+    if (maxLength === null || characters.length <= maxLength) {
+        return id;
+    }
+    const hashLength = Math.min(TRUNCATION_HASH_LENGTH, maxLength - separator.length - 1);
+    if (hashLength < 1) {
+        throw new RangeError(`The ID "${id}" can't be truncated to ${maxLength} characters`);
+    }
+    const hash = hashString(id).padStart(TRUNCATION_HASH_LENGTH, '0').slice(-hashLength);
+    const keptLength = maxLength - hash.length - separator.length;
+    const kept = characters.slice(0, keptLength).join('').replace(/[-_]+$/, '');
+    return `${kept}${separator}${hash}`;
+}
+
+/**
+ * Describe an element for a message (ex: 'input[name="phone"]').
+ * 
+ * @param {HTMLElement} element The element.
+ * @returns {String} The tag name with the name or the ID of the element.
+ */
+function describeElement(element) {
+    const tagName = element.tagName.toLowerCase();
+    if (element.getAttribute('name')) {
+        return `${tagName}[name="${element.getAttribute('name')}"]`;
+    }
+    return element.id ? `${tagName}#${element.id}` : tagName;
+}
+
+/**
+ * Get the path of an element in its tree, as a selector-like string.
+ * The path starts at the closest ancestor with an ID or at the tree root.
+ * 
+ * @param {Element} element The element.
+ * @returns {String} The path (ex: "#myform>fieldset:2>input:1").
+ */
+function getDomPath(element) {
+    const steps = [];
+    for (let current = element; current && current.nodeType === 1; current = current.parentNode) {
+        if (current !== element && current.id) {
+            steps.unshift(`#${current.id}`);
+            break;
+        }
+        const tagName = current.tagName.toLowerCase();
+        const position = Array.from(current.parentNode ? current.parentNode.children : [current])
+            .filter(sibling => sibling.tagName === current.tagName)
+            .indexOf(current) + 1;
+        steps.unshift(`${tagName}:${position}`);
+    }
+    return steps.join('>');
+}
+
+/**
+ * Get the uniqueness suffix index of an ID generated with a base ID.
+ * 
+ * @param {String} id The generated ID.
+ * @param {String} cleanedBaseId The sanitized base ID.
+ * @param {String} separator The separator used for a suffix.
+ * @returns {Number} The suffix index, 0 if the ID has no suffix or -1 if the ID was not generated with the base ID.
+ */
+function getSuffixIndex(id, cleanedBaseId, separator) {
+    if (id === cleanedBaseId) {
+        return 0;
+    }
+    const prefix = `${cleanedBaseId}${separator}`;
+    if (!id.startsWith(prefix) || !id.slice(prefix.length).match(/^[1-9][0-9]*$/)) {
+        return -1;
+    }
+    return parseInt(id.slice(prefix.length), 10);
+}
+
+/**
+ * Split a generated ID into the possible prefix, name, value and suffix index combinations,
+ * without knowing which elements have the ID.
+ * The combinations with fewer inferred parts come first.
+ * 
+ * @param {String} id The generated ID, without the fallback prefix.
+ * @param {String} separator The ID parts separator.
+ * @param {String|null} prefix The known sanitized prefix or null if it's unknown.
+ * @returns {Object[]} A list of objects with the prefix, name, value and suffixIndex properties.
+ */
+function splitId(id, separator, prefix) {
+    const candidates = [];
+    const parts = separator ? id.split(separator) : [id];
+    const suffixes = [null];
+    if (parts.length > 1 && parts[parts.length - 1].match(/^[1-9][0-9]*$/)) {
+        suffixes.push(parseInt(parts[parts.length - 1], 10));
+    }
+    suffixes.forEach(suffixIndex => {
+        let unsuffixedParts = suffixIndex === null ? parts : parts.slice(0, -1);
+        let prefixLengths = [0, 1];
+        if (prefix !== null) {
+            const prefixParts = separator ? prefix.split(separator) : [prefix];
+            if (unsuffixedParts.slice(0, prefixParts.length).join(separator) !== prefix) {
+                return;
+            }
+            prefixLengths = [prefixParts.length];
+        }
+        prefixLengths.forEach(prefixLength => {
+            [0, 1].forEach(valueLength => {
+                const nameParts = unsuffixedParts.slice(
+                    prefixLength,
+                    unsuffixedParts.length - valueLength
+                );
+                if (nameParts.length === 0 || nameParts.includes('')) {
+                    return;
+                }
+                candidates.push({
+                    prefix: prefixLength ? unsuffixedParts.slice(0, prefixLength).join(separator) : null,
+                    name: nameParts.join(separator),
+                    value: valueLength ? unsuffixedParts[unsuffixedParts.length - 1] : null,
+                    suffixIndex: suffixIndex
+                });
+            });
+        });
+    });
+    return candidates.sort((a, b) => inferredPartsCount(a) - inferredPartsCount(b));
+}
+
+/**
+ * @param {Object} candidate A combination of ID parts.
+ * @returns {Number} The number of parts besides the name.
+ */
+function inferredPartsCount(candidate) {
+    return ['prefix', 'value', 'suffixIndex']
+        .filter(part => candidate[part] !== null)
+        .length;
+}
+
+/**
+ * Split an element name into path segments according to a name notation:
+ * "flat" (the name is a single segment), "brackets" (ex: "address[billing][street]"),
+ * "dots" (ex: "address.billing.street") or "auto" (both brackets and dots).
+ * Empty segments (ex: "colors[]") are removed.
+ * 
+ * @param {String} name The element name.
+ * @param {String} notation The name notation.
+ * @returns {String[]} The name segments.
+ */
+function splitName(name, notation) {
+    let segments = [name];
+    if (notation === 'brackets' || notation === 'auto') {
+        const match = name.match(/^([^[\]]*)((?:\[[^[\]]*\])*)$/);
+        if (match && match[2]) {
+            segments = [match[1]].concat(match[2].slice(1, -1).split(']['));
+        }
+    }
+    if (notation === 'dots' || notation === 'auto') {
+        segments = segments.reduce((dotSegments, segment) => dotSegments.concat(segment.split('.')), []);
+    }
+    return segments.filter(segment => segment !== '');
+}
+
+/**
+ * Get the scope names of an element: the "data-inputid-scope" or the "name" attribute values
+ * of the ancestor fieldset and section elements, up to the form which owns the element.
+ * 
+ * @param {HTMLElement} element The element.
+ * @returns {String[]} The scope names, starting at the outermost one.
+ */
+function getScopeNames(element) {
+    const names = [];
+    for (
+        let ancestor = element.parentElement;
+        ancestor && ancestor.tagName.toLowerCase() !== 'form';
+        ancestor = ancestor.parentElement
+    ) {
+        const name = ancestor.getAttribute('data-inputid-scope') || ancestor.getAttribute('name');
+        if (name && ['fieldset', 'section'].includes(ancestor.tagName.toLowerCase())) {
+            names.unshift(name);
+        }
+    }
+    return names;
+}
+
+/**
+ * Get the rule of an element type in a type rules table (see the "typeRules" module).
+ * 
+ * @param {Object} typeRules The type rules by type.
+ * @param {String|null} type The element type.
+ * @returns {Object} The type rule or the "*" rule if the type has no rule.
+ */
+function getTypeRule(typeRules, type) {
+    return type && Object.prototype.hasOwnProperty.call(typeRules, type)
+        ? typeRules[type]
+        : typeRules['*'];
+}
+
+/**
+ * Get the tree where the IDs of a node are looked up: the shadow root which contains the node
+ * or the node document.
+ * 
+ * @param {Node} node The node (ex: an element, a shadow root or a document).
+ * @returns {Document|ShadowRoot|null} The shadow root, the document or null if the node has no document.
+ */
+function getIdRoot(node) {
+    const rootNode = typeof node.getRootNode === 'function' ? node.getRootNode() : null;
+    if (rootNode && rootNode.nodeType === 11 && rootNode.host) {
+        return rootNode;
+    }
+    return node.nodeType === 9 ? node : node.ownerDocument;
+}
+
+/**
+ * Get the value of an attribute of an element or its nearest ancestor which has it,
+ * in the same tree (ex: the "data-inputid-prefix" attribute of a form).
+ * 
+ * @param {Element} element The element.
+ * @param {String} attribute The attribute name.
+ * @returns {String|null} The attribute value or null if neither the element nor its ancestors have it.
+ */
+function getInheritedAttribute(element, attribute) {
+    const ancestor = element.closest(`[${attribute}]`);
+    return ancestor ? ancestor.getAttribute(attribute) : null;
+}
+
+/**
+ * Get the labelable form controls inside an element.
+ * 
+ * @param {Element} root The element.
+ * @param {boolean} includeRoot Should the element itself be included if it's a labelable control?
+ * @returns {HTMLElement[]} The labelable controls, in document order.
+ */
+function getLabelableControls(root, includeRoot) {
+    const controls = Array.from(root.querySelectorAll(LABELABLE_SELECTOR));
+    return includeRoot && root.matches(LABELABLE_SELECTOR)
+        ? [root].concat(controls)
+        : controls;
+}
+
+/**
+ * Find the closest ancestor of a node which tag name is one of the specified ones.
+ * Ancestors without a tag name (ex: a document fragment) are skipped.
+ * 
+ * @param {Node} node The node.
+ * @param {String[]} tagNames The lowercase tag names.
+ * @returns {HTMLElement|null} The ancestor or null.
+ */
+function findAncestor(node, tagNames) {
+    for (let ancestor = node.parentNode; ancestor; ancestor = ancestor.parentNode) {
+        if (typeof ancestor.tagName === 'string' && tagNames.includes(ancestor.tagName.toLowerCase())) {
             return ancestor;
         }
     }
     return null;
 }
 
+/**
+ * Get the "select" element associated with a specified "option" or "optgroup" element.
+ * 
+ * @param {HTMLOptionElement|HTMLOptGroupElement} optionElement The specified "option" or "optgroup" element.
+ * @returns {HTMLSelectElement|null} The "select" element or null (ex: if the option is in a "datalist").
+ */
+function getOptionSelectElement(optionElement) {
+    const listElement = findAncestor(optionElement, ['select', 'datalist']);
+    return listElement && listElement.tagName.toLowerCase() === 'select'
+        ? listElement
+        : null;
+}
+
+/**
+ * Get the "optgroup" element of a specified "option" element.
+ * 
+ * @param {HTMLOptionElement} optionElement The specified "option" element.
+ * @returns {HTMLOptGroupElement|null} The "optgroup" element or null.
+ */
+function getOptionGroupElement(optionElement) {
+    const groupElement = findAncestor(optionElement, ['optgroup', 'select', 'datalist']);
+    return groupElement && groupElement.tagName.toLowerCase() === 'optgroup'
+        ? groupElement
+        : null;
+}
+
+/**
+ * Get the "input" element which "list" attribute refers to the "datalist" of a specified "option" element.
+ * The input is searched in the same tree as the datalist.
+ * 
+ * @param {HTMLOptionElement} optionElement The specified "option" element.
+ * @returns {HTMLInputElement|null} The first "input" element using the datalist or null.
+ */
+function getDatalistInputElement(optionElement) {
+    const listElement = findAncestor(optionElement, ['select', 'datalist']);
+    if (!listElement || listElement.tagName.toLowerCase() !== 'datalist' || !listElement.id) {
+        return null;
+    }
+    return Array.from(listElement.getRootNode().querySelectorAll('input[list]'))
+        .find(inputElement => inputElement.getAttribute('list') === listElement.id) || null;
+}
+
+/**
+ * Get the form element which owns a specified element.
+ * The owner is the element "form" property, the form referred by the element "form"
+ * attribute or the closest ancestor form, even if the element is not a form control.
+ * 
+ * @param {HTMLElement} element The specified element.
+ * @returns {HTMLFormElement|null} The "form" element or null.
+ */
+function getFormElement(element) {
+    if (element.form) {
+        return element.form;
+    }
+    const formId = element.getAttribute('form');
+    const idRoot = getIdRoot(element);
+    const formElement = formId && idRoot
+        ? idRoot.getElementById(formId)
+        : null;
+    if (formElement && formElement.tagName.toLowerCase() === 'form') {
+        return formElement;
+    }
+    return element.closest('form');
+}
+
 module.exports = {
+    addFallback,
     clean,
+    describeElement,
+    formatId,
     generateUniqueFromBaseId,
-    getOptionSelectElement
+    getDatalistInputElement,
+    getDomPath,
+    getFormElement,
+    getIdRoot,
+    getInheritedAttribute,
+    getLabelableControls,
+    getOptionGroupElement,
+    getOptionSelectElement,
+    getScopeNames,
+    getSuffixIndex,
+    getTypeRule,
+    hashString,
+    isHtml5Doctype,
+    isValidDocumentId,
+    isValidId,
+    removeFallbackPrefix,
+    sanitize,
+    splitId,
+    splitName,
+    truncate
 };
@@ -0,0 +1,107 @@
+const CompositeIdRegistry = require('./CompositeIdRegistry');
+const DomIdRegistry = require('./DomIdRegistry');
+const InputId = require('./InputId');
+const MemoryIdRegistry = require('./MemoryIdRegistry');
+const {getIdRoot, getLabelableControls} = require('./functions');
+
+/**
+ * Find the label which should be associated to a form control.
+ * The label is, by order of preference: a label already associated with the control ID,
+ * a label with a "data-label-for" attribute value matching the control name or
+ * its deterministic ID, the label wrapping the control or the nearest sibling label.
+ *
+ * @param {HTMLElement} container The container where the labels are searched.
+ * @param {HTMLElement} element The form control.
+ * @param {InputId} inputId The control InputId.
+ * @param {Set} claimedLabels Labels already associated to other controls.
+ * @returns {HTMLLabelElement|null} The label or null.
+ */
+function findLabel(container, element, inputId, claimedLabels) {
+    const isAvailable = label => label
+        && label.tagName.toLowerCase() === 'label'
+        && !claimedLabels.has(label);
+    const associatedLabel = element.id
+        ? Array.from(container.querySelectorAll('label[for]')).find(label => label.htmlFor === element.id)
+        : null;
+    if (isAvailable(associatedLabel)) {
+        return associatedLabel;
+    }
+    const hints = [
+        element.name,
+        inputId.ignoreUniqueness().toString()
+    ].filter(hint => hint);
+    const hintedLabel = Array.from(container.querySelectorAll('label[data-label-for]'))
+        .find(label => isAvailable(label) && hints.includes(label.dataset.labelFor));
+    if (hintedLabel) {
+        return hintedLabel;
+    }
+    const wrappingLabel = element.closest('label');
+    if (isAvailable(wrappingLabel) && container.contains(wrappingLabel)) {
+        return wrappingLabel;
+    }
+    const isSiblingAvailable = label => isAvailable(label)
+        && (!label.htmlFor || label.htmlFor === element.id);
+    if (isSiblingAvailable(element.previousElementSibling)) {
+        return element.previousElementSibling;
+    }
+    if (isSiblingAvailable(element.nextElementSibling)) {
+        return element.nextElementSibling;
+    }
+    return null;
+}
+
+/**
+ * Assign an ID to every labelable form control inside a container (ex: a form or a fieldset)
+ * and associate each control with its label.
+ * The controls might be limited to a list of elements, but the labels are still searched in the container.
+ * Controls which already have an ID keep it, unless the "overwrite" option is true.
+ * The IDs are unique in the document and among the container controls, even if the container
+ * is not in the document, unless another registry is given.
+ *
+ * @param {HTMLElement} container The form, fieldset or any other container element.
+ * @param {Object} options InputId options shared by every control (ex: prefix, separator, fallback).
+ * @param {boolean|undefined} options.overwrite Should existing IDs be replaced?
+ * @param {HTMLElement[]|undefined} options.controls The controls which get IDs, instead of every control in the container.
+ * @returns {Object[]} A report entry for each control: the element, its previous ID, its ID,
+ *  its label (or null) and if the ID or the label "for" attribute were changed.
+ */
+function labelControls(container, options = {}) {
+    const {overwrite = false, controls, ...inputIdOptions} = options;
+    const registry = inputIdOptions.registry || new CompositeIdRegistry([
+        new DomIdRegistry(getIdRoot(container)),
+        new MemoryIdRegistry()
+    ]);
+    const claimedLabels = new Set();
+    const elements = controls
+        ? Array.from(controls)
+        : getLabelableControls(container, false);
+    if (!overwrite) {
+        elements
+            .filter(element => element.id)
+            .forEach(element => registry.reserve(element.id, element));
+    }
+    return elements.map(element => {
+        const previousId = element.id;
+        const inputId = new InputId({...inputIdOptions, element: element, registry: registry});
+        const label = findLabel(container, element, inputId, claimedLabels);
+        if (overwrite || !previousId) {
+            element.id = inputId;
+        }
+        let labelChanged = false;
+        if (label) {
+            claimedLabels.add(label);
+            labelChanged = label.htmlFor !== element.id;
+            label.htmlFor = element.id;
+        }
+        return {
+            element: element,
+            previousId: previousId,
+            id: element.id,
+            label: label,
+            idChanged: previousId !== element.id,
+            labelChanged: labelChanged
+        };
+    });
+}
+
+module.exports = labelControls;
@@ -0,0 +1,151 @@
+const {transliterate} = require('./transliterations');
+
+/**
+ * The sanitization policies, by name.
+ * A policy is an object with these optional properties, which are derived from the document type
+ * when they're missing:
+ * - invalidCharacters: a global RegExp matching the characters which are replaced;
+ * - replacement: the string replacing each invalid character, which must not have invalid characters ("-" by default);
+ * - firstCharacter: a RegExp matching a valid first character (a fallback prefix is added otherwise) or null;
+ * - lowercase: should the ID be lowercased? (true by default);
+ * - stripMarks: should the combining marks be removed? (true by default);
+ * - collapseHyphens: should consecutive hyphens be collapsed? (true by default);
+ * - transliterate: a function transliterating the ID before the sanitization or true to romanize
+ *   Cyrillic, Greek, Japanese kana and Korean Hangul characters (false by default).
+ *   Chinese characters (Han), including the Japanese kanji, aren't romanized, since it requires a dictionary:
+ *   if they're invalid, a RangeError is thrown instead of removing them.
+ * The built-in policies can't be replaced.
+ */
+const policies = {
+    auto: {},
+    html5: {
+        invalidCharacters: /[^0-9\p{L}\p{M}_-]/ug,
+        firstCharacter: null
+    },
+    html4: {
+        invalidCharacters: /[^0-9a-zA-Z_-]/g,
+        firstCharacter: /[a-zA-Z]/
+    },
+    'case-preserving': {
+        lowercase: false
+    },
+    ascii: {
+        invalidCharacters: /[^0-9a-zA-Z_-]/g,
+        transliterate: true
+    },
+    css: {
+        firstCharacter: /\p{L}/u
+    },
+    ncname: {
+        invalidCharacters: /[^0-9\p{L}\p{M}\p{N}._-]/ug,
+        firstCharacter: /[\p{L}_]/u
+    }
+};
+
+/**
+ * Check if a value is a valid sanitization policy.
+ *
+ * @param {*} policy The policy.
+ * @returns {Object} The policy.
+ * @throws {TypeError} If the policy is not valid.
+ */
+function validatePolicy(policy) {
+    if (typeof policy !== 'object' || policy === null) {
+        throw new TypeError('A sanitization policy must be an object');
+    }
+    if ('invalidCharacters' in policy && !(policy.invalidCharacters instanceof RegExp && policy.invalidCharacters.global)) {
+        throw new TypeError('The policy "invalidCharacters" value must be a global RegExp');
+    }
+    if ('replacement' in policy && typeof policy.replacement !== 'string') {
+        throw new TypeError('The policy "replacement" value must be a String');
+    }
+    const replacement = 'replacement' in policy ? policy.replacement : '-';
+    if ('invalidCharacters' in policy && replacement.search(policy.invalidCharacters) !== -1) {
+        throw new TypeError(`The policy "replacement" value ("${replacement}") must not have invalid characters`);
+    }
+    if ('firstCharacter' in policy && policy.firstCharacter !== null && !(policy.firstCharacter instanceof RegExp)) {
+        throw new TypeError('The policy "firstCharacter" value must be a RegExp or null');
+    }
+    if ('transliterate' in policy && typeof policy.transliterate !== 'boolean' && typeof policy.transliterate !== 'function') {
+        throw new TypeError('The policy "transliterate" value must be a boolean or a function');
+    }
+    return policy;
+}
+
+/**
+ * Get a sanitization policy by name.
+ *
+ * @param {String} name The policy name (ex: "html5", "ascii").
+ * @returns {Object} The policy.
+ * @throws {RangeError} If there's no policy with that name.
+ */
+function getPolicy(name) {
+    if (!Object.prototype.hasOwnProperty.call(policies, name)) {
+        throw new RangeError(`There's no "${name}" sanitization policy`);
+    }
+    return policies[name];
+}
+
+/**
+ * Get the name of a registered sanitization policy.
+ *
+ * @param {Object} policy The policy object.
+ * @returns {String|null} The policy name or null if the policy isn't registered.
+ */
+function getPolicyName(policy) {
+    return Object.keys(policies).find(name => policies[name] === policy) || null;
+}
+
+/**
+ * Register a sanitization policy with a name, which might replace another custom policy.
+ *
+ * @param {String} name The policy name.
+ * @param {Object} policy The policy.
+ * @throws {RangeError} If the name is the name of a built-in policy (ex: "html5").
+ */
+function registerPolicy(name, policy) {
+    if (builtInPolicyNames.includes(name)) {
+        throw new RangeError(`The "${name}" sanitization policy is built-in, so it can't be replaced`);
+    }
+    policies[name] = Object.freeze({...validatePolicy(policy)});
+}
+
+/**
+ * Get the sanitization settings of a policy, deriving the missing ones from the document type.
+ *
+ * @param {Object} policy The policy.
+ * @param {boolean} isHtml5 Is the document type HTML5?
+ * @returns {Object} The settings, including all the policy properties.
+ */
+function resolvePolicy(policy, isHtml5) {
+    const doctypePolicy = isHtml5 ? policies.html5 : policies.html4;
+    const settings = {
+        replacement: '-',
+        lowercase: true,
+        stripMarks: true,
+        collapseHyphens: true,
+        ...doctypePolicy,
+        ...policy
+    };
+    if (settings.transliterate === true) {
+        settings.transliterate = transliterate;
+    }
+    return settings;
+}
+
+/**
+ * The names of the built-in policies, which are the default policies of the document types.
+ */
+const builtInPolicyNames = Object.freeze(Object.keys(policies));
+
+builtInPolicyNames.forEach(name => {
+    policies[name] = Object.freeze({...validatePolicy(policies[name])});
+});
+
+module.exports = {
+    getPolicy,
+    getPolicyName,
+    registerPolicy,
+    resolvePolicy,
+    validatePolicy
+};
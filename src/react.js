@@ -0,0 +1,144 @@
+const {createContext, createElement, useContext, useEffect, useId, useState} = require('react');
+const InputId = require('./InputId');
+const MemoryIdRegistry = require('./MemoryIdRegistry');
+
+/**
+ * The InputId options and the registry shared by the components inside an InputIdProvider.
+ */
+const InputIdContext = createContext({options: {}, registry: null});
+
+/**
+ * Provide InputId options (ex: prefix, separator, fallback) and a registry to the components using useInputId.
+ * The IDs are unique in the registry, which is a new MemoryIdRegistry for each provider by default,
+ * so the server and the client render the same IDs.
+ * Nested providers extend the options of their ancestor and share its registry.
+ *
+ * @param {Object} props InputId options, the "registry" and the "children".
+ * @returns {ReactElement}
+ */
+function InputIdProvider(props) {
+    const {children, registry, ...options} = props;
+    const parent = useContext(InputIdContext);
+    const [defaultRegistry] = useState(() => parent.registry || new MemoryIdRegistry());
+    const value = {
+        options: {...parent.options, ...options},
+        registry: registry || defaultRegistry
+    };
+    return createElement(InputIdContext.Provider, {value: value}, children);
+}
+
+/**
+ * The IDs reserved while rendering the components (the "claims", by owner) and the mounted owners, by registry.
+ */
+const ledgers = new WeakMap();
+
+/**
+ * Get the IDs reserved while rendering with a registry and the mounted owners.
+ * @param {Object} registry The registry.
+ * @returns {Object} The "claims" (a Map of the ID Sets by owner) and the "mounted" owners (a Set).
+ */
+function getLedger(registry) {
+    if (!ledgers.has(registry)) {
+        ledgers.set(registry, {claims: new Map(), mounted: new Set()});
+    }
+    return ledgers.get(registry);
+}
+
+/**
+ * Make a view of a registry where the IDs are reserved by an owner (ex: a component),
+ * so the owner can reserve its IDs again and they aren't taken by other owners.
+ * @param {Object} registry The registry.
+ * @param {String} owner The owner.
+ * @returns {Object} The registry view.
+ */
+function getOwnedRegistry(registry, owner) {
+    return {
+        has: id => registry.has(id, owner),
+        reserve: id => registry.reserve(id, owner),
+        release: id => registry.release(id),
+        clear: () => registry.clear()
+    };
+}
+
+/**
+ * Release the IDs reserved while rendering by an owner.
+ * @param {Object} registry The registry.
+ * @param {String} owner The owner.
+ * @param {String|null} keptId An ID which isn't released.
+ */
+function releaseClaims(registry, owner, keptId = null) {
+    const {claims} = getLedger(registry);
+    (claims.get(owner) || new Set()).forEach(id => {
+        if (id !== keptId && registry.has(id) && !registry.has(id, owner)) {
+            registry.release(id);
+        }
+    });
+    claims.delete(owner);
+}
+
+/**
+ * Generate an InputId while rendering a component, without a document, so the server and the client
+ * render the same IDs: the uniqueness is enforced in the InputIdProvider registry, according to the rendering
+ * order, instead of looking up the elements in the document. The ID is reserved by the component (see useId),
+ * so rendering it again gives the same ID. When a component is mounted, its ID is reserved again and the IDs
+ * reserved while rendering the components which aren't mounted are released (ex: the renders discarded
+ * in StrictMode). The ID is released when the component is unmounted or its options change.
+ * The returned InputId doesn't enforce the uniqueness, so the IDs derived from it (ex: with withValue)
+ * aren't reserved, but they keep its uniqueness suffix.
+ * Without a provider, the uniqueness isn't enforced. It requires React 18 or later.
+ *
+ * @param {Object} options InputId options, which extend the provider ones (ex: name, value, type).
+ * @returns {InputId} The resolved InputId.
+ */
+function useInputId(options = {}) {
+    const {options: providedOptions, registry} = useContext(InputIdContext);
+    const owner = useId();
+    const [mounted, setMounted] = useState(null);
+    const makeInputId = () => new InputId({
+        forceUniqueness: registry !== null,
+        ...providedOptions,
+        ...options,
+        ownerDocument: null,
+        registry: registry ? getOwnedRegistry(registry, owner) : null
+    });
+    const candidate = makeInputId();
+    const key = candidate.hashKey();
+    const isReserved = registry !== null && candidate.toObject().forceUniqueness;
+    // The ID of a mounted component is kept while its options don't change.
+    const renderedId = mounted && mounted.key === key && mounted.registry === registry
+        ? mounted.id
+        : candidate.toString();
+    if (isReserved) {
+        const {claims} = getLedger(registry);
+        claims.set(owner, (claims.get(owner) || new Set()).add(renderedId));
+    }
+    useEffect(() => {
+        if (!isReserved) {
+            return undefined;
+        }
+        const ledger = getLedger(registry);
+        ledger.mounted.add(owner);
+        Array.from(ledger.claims.keys())
+            .filter(claimOwner => !ledger.mounted.has(claimOwner))
+            .forEach(claimOwner => releaseClaims(registry, claimOwner));
+        // The rendered ID is kept, unless it was released and taken by another owner.
+        const id = getOwnedRegistry(registry, owner).reserve(renderedId)
+            ? renderedId
+            : makeInputId().toString();
+        releaseClaims(registry, owner, id);
+        setMounted({key: key, registry: registry, id: id});
+        return () => {
+            ledger.mounted.delete(owner);
+            releaseClaims(registry, owner);
+            if (registry.has(id) && !registry.has(id, owner)) {
+                registry.release(id);
+            }
+        };
+    }, [key, registry]);
+    return new InputId({...candidate.toObject(), forceUniqueness: false, id: renderedId});
+}
+
+module.exports = {
+    InputIdProvider,
+    useInputId
+};
@@ -0,0 +1,27 @@
+const {getDomPath, hashString} = require('./functions');
+
+/**
+ * The built-in functions returning the suffix appended to an ID when it's not unique,
+ * by name. Each function gets the attempt number (starting at 1) and a context with the
+ * sanitized base ID, the element (or null) and the suffix data.
+ */
+module.exports = Object.freeze({
+    /**
+     * The attempt number (ex: "color_red_2").
+     */
+    sequential: attemptNumber => String(attemptNumber),
+
+    /**
+     * A short hash of the suffix data or, without data, of the element path in the document
+     * (ex: "color_red_1x8k2p"). Other attempts hash the attempt number as well.
+     */
+    hash: (attemptNumber, context) => {
+        let source = context.baseId;
+        if (context.data !== undefined && context.data !== null) {
+            source = JSON.stringify(context.data);
+        } else if (context.element) {
+            source = getDomPath(context.element);
+        }
+        return hashString(attemptNumber > 1 ? `${source}#${attemptNumber}` : source);
+    }
+});
@@ -0,0 +1,151 @@
+/**
+ * Romanization tables of non-Latin scripts, by script.
+ * Each table maps lowercase characters (or character sequences) to ASCII.
+ * @see {@link https://en.wikipedia.org/wiki/Romanization_of_Russian}
+ * @see {@link https://en.wikipedia.org/wiki/Romanization_of_Greek}
+ * @see {@link https://en.wikipedia.org/wiki/Hepburn_romanization}
+ * @see {@link https://en.wikipedia.org/wiki/Revised_Romanization_of_Korean}
+ */
+
+const cyrillic = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh',
+    'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+    'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts',
+    'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu',
+    'я': 'ya', 'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g', 'ў': 'u', 'ђ': 'dj', 'ј': 'j',
+    'љ': 'lj', 'њ': 'nj', 'ћ': 'c', 'џ': 'dz', 'ѓ': 'gj', 'ќ': 'kj', 'ѕ': 'dz'
+};
+
+const greek = {
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+    'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+    'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps',
+    'ω': 'o', 'ά': 'a', 'έ': 'e', 'ή': 'i', 'ί': 'i', 'ό': 'o', 'ύ': 'y', 'ώ': 'o',
+    'ϊ': 'i', 'ϋ': 'y', 'ΐ': 'i', 'ΰ': 'y'
+};
+
+const hiragana = {
+    'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+    'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+    'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+    'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+    'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+    'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+    'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+    'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+    'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+    'わ': 'wa', 'を': 'wo', 'ん': 'n',
+    'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+    'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+    'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+    'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+    'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+    'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o',
+    'ゃ': 'ya', 'ゅ': 'yu', 'ょ': 'yo', 'っ': ''
+};
+
+const yoonHiragana = {
+    'き': 'ky', 'ぎ': 'gy', 'し': 'sh', 'じ': 'j', 'ち': 'ch', 'に': 'ny',
+    'ひ': 'hy', 'び': 'by', 'ぴ': 'py', 'み': 'my', 'り': 'ry'
+};
+
+const kana = {'ー': ''};
+Object.keys(yoonHiragana).forEach(syllable => {
+    const consonant = yoonHiragana[syllable];
+    [['ゃ', 'a'], ['ゅ', 'u'], ['ょ', 'o']].forEach(([small, vowel]) => {
+        hiragana[`${syllable}${small}`] = `${consonant}${vowel}`;
+    });
+});
+Object.keys(hiragana).forEach(syllable => {
+    const romaji = hiragana[syllable];
+    if (romaji.match(/^[bcdfghjkmprstwz]/)) {
+        hiragana[`っ${syllable}`] = `${romaji[0] === 'c' ? 't' : romaji[0]}${romaji}`;
+    }
+});
+Object.keys(hiragana).forEach(syllable => {
+    kana[syllable] = hiragana[syllable];
+    const katakana = Array.from(syllable)
+        .map(character => String.fromCharCode(character.charCodeAt(0) + 0x60))
+        .join('');
+    kana[katakana] = hiragana[syllable];
+});
+
+const hangulInitials = [
+    'g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's',
+    'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'
+];
+const hangulMedials = [
+    'a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae',
+    'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'
+];
+const hangulFinals = [
+    '', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l',
+    'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'
+];
+
+/**
+ * Romanize a Hangul syllable.
+ *
+ * @param {String} character The Hangul syllable.
+ * @returns {String|undefined} The romanized syllable or undefined if it's not a Hangul syllable.
+ */
+function romanizeHangul(character) {
+    const index = character.charCodeAt(0) - 0xac00;
+    if (character.length !== 1 || index < 0 || index > 11171) {
+        return undefined;
+    }
+    const initial = hangulInitials[Math.floor(index / 588)];
+    const medial = hangulMedials[Math.floor((index % 588) / 28)];
+    return `${initial}${medial}${hangulFinals[index % 28]}`;
+}
+
+const tables = [cyrillic, greek, kana];
+
+/**
+ * Romanize a character or a character sequence with the tables.
+ * Uppercase characters are romanized as the lowercase ones, but capitalized.
+ *
+ * @param {String} characters The characters.
+ * @returns {String|undefined} The romanized characters or undefined if they're not in the tables.
+ */
+function romanize(characters) {
+    const lowercaseCharacters = characters.toLowerCase();
+    const table = tables.find(table => Object.prototype.hasOwnProperty.call(table, lowercaseCharacters));
+    if (!table) {
+        return romanizeHangul(characters);
+    }
+    const romanized = table[lowercaseCharacters];
+    return characters === lowercaseCharacters || romanized.length === 0
+        ? romanized
+        : `${romanized[0].toUpperCase()}${romanized.slice(1)}`;
+}
+
+/**
+ * Transliterate the Cyrillic, Greek, Japanese kana and Korean Hangul characters of a string to ASCII.
+ * The other characters are kept, including the Chinese characters (Han) and the Japanese kanji,
+ * which romanization requires a dictionary (the sanitization throws if they're invalid, see the "policies" module).
+ *
+ * @param {String} string The string.
+ * @returns {String} The transliterated string.
+ */
+function transliterate(string) {
+    const characters = Array.from(string);
+    let transliterated = '';
+    for (let index = 0; index < characters.length;) {
+        const length = [3, 2, 1].find(length => index + length <= characters.length
+            && romanize(characters.slice(index, index + length).join('')) !== undefined) || 1;
+        const sequence = characters.slice(index, index + length).join('');
+        const romanized = romanize(sequence);
+        transliterated += romanized === undefined ? sequence : romanized;
+        index += length;
+    }
+    return transliterated;
+}
+
+module.exports = Object.freeze({
+    cyrillic: Object.freeze(cyrillic),
+    greek: Object.freeze(greek),
+    kana: Object.freeze(kana),
+    romanizeHangul,
+    transliterate
+});
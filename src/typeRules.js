@@ -0,0 +1,19 @@
+/**
+ * The parts of the IDs generated for each element type (the "type" property or the tag name)
+ * after the prefix and the scope, in order: "name", "group" (the option group label), "value" and "type".
+ * The "value" of a rule is the property or attribute read as the element value, if it's not "value".
+ * Any other type (ex: "text", "select-one", "textarea", "output", "fieldset", "object"
+ * or a form-associated custom element) uses the "*" rule.
+ * @see {@link https://html.spec.whatwg.org/multipage/forms.html#form-associated-element}
+ */
+module.exports = Object.freeze({
+    '*': Object.freeze({parts: Object.freeze(['name'])}),
+    checkbox: Object.freeze({parts: Object.freeze(['name', 'value'])}),
+    radio: Object.freeze({parts: Object.freeze(['name', 'value'])}),
+    option: Object.freeze({parts: Object.freeze(['name', 'value'])}),
+    optgroup: Object.freeze({parts: Object.freeze(['name', 'value']), value: 'label'}),
+    submit: Object.freeze({parts: Object.freeze(['name', 'value'])}),
+    reset: Object.freeze({parts: Object.freeze(['name', 'value'])}),
+    button: Object.freeze({parts: Object.freeze(['name', 'value'])}),
+    image: Object.freeze({parts: Object.freeze(['name', 'value']), value: 'alt'})
+});
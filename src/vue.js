@@ -0,0 +1,211 @@
+const {computed, inject, isRef, onBeforeUnmount, onMounted, shallowRef, unref, watch} = require('vue');
+const InputId = require('./InputId');
+const MemoryIdRegistry = require('./MemoryIdRegistry');
+const ariaRoles = require('./ariaRoles');
+const labelControls = require('./labelControls');
+
+/**
+ * The injection key of the InputId options and the registry provided by the plugin.
+ */
+const INPUT_ID_KEY = Symbol('inputid');
+
+/**
+ * The InputId of each element with the v-input-id directive, with the directive state.
+ */
+const directiveStates = new WeakMap();
+
+/**
+ * Remove the references to the related elements of a previous InputId from the ARIA attributes of an element.
+ * @param {HTMLElement} element The element.
+ * @param {InputId} inputId The previous InputId.
+ * @param {String[]} roles The roles of the related elements.
+ */
+function removeAriaReferences(element, inputId, roles) {
+    roles.forEach(role => {
+        const attribute = ariaRoles[role];
+        const id = inputId.forRole(role).toString();
+        const references = (element.getAttribute(attribute) || '')
+            .split(/\s+/)
+            .filter(reference => reference && reference !== id);
+        if (references.length > 0) {
+            element.setAttribute(attribute, references.join(' '));
+        } else {
+            element.removeAttribute(attribute);
+        }
+    });
+}
+
+/**
+ * Assign the ID of an element, link its label and set its ARIA attributes.
+ * @param {HTMLElement} element The element.
+ * @param {InputId} inputId The element InputId.
+ * @param {String[]} roles The roles of the related elements.
+ * @param {Object} options The InputId options, used to find the label.
+ * @returns {Object} The directive state.
+ */
+function link(element, inputId, roles, options) {
+    element.id = inputId;
+    const container = element.closest('form') || element.parentElement;
+    const [entry] = container
+        ? labelControls(container, {...options, controls: [element]})
+        : [{label: null}];
+    inputId.setAriaReferences(roles, element);
+    return {inputId: inputId, roles: roles, label: entry.label};
+}
+
+/**
+ * Make the v-input-id directive, which assigns an InputId to a form control when it's mounted,
+ * links its label ("for" attribute) and sets its ARIA attributes referring to its related elements.
+ * The binding value has InputId options and the "roles" of the related elements (ex: ["hint", "error"]).
+ * The ID is generated again when the element name, value or type changes, deriving the InputId
+ * with withName, withValue and withType, and it's released when the element is unmounted.
+ *
+ * @param {Object} defaults The InputId options, which the binding value options extend, and the "registry".
+ * @returns {Object} The directive.
+ */
+function makeInputIdDirective(defaults) {
+    const {registry = null, ...defaultOptions} = defaults;
+    const getOptions = binding => {
+        const {roles = [], ...options} = binding.value || {};
+        return {roles: roles, options: {...defaultOptions, ...(registry ? {registry: registry} : {}), ...options}};
+    };
+    return {
+        mounted(element, binding) {
+            const {roles, options} = getOptions(binding);
+            directiveStates.set(element, link(element, new InputId({...options, element: element}), roles, options));
+        },
+
+        updated(element, binding) {
+            const state = directiveStates.get(element);
+            const {roles, options} = getOptions(binding);
+            const previous = state.inputId.toObject();
+            const current = new InputId({...options, element: element, forceUniqueness: false}).toObject();
+            let inputId = state.inputId;
+            if (current.name !== previous.name) {
+                inputId = inputId.withName(current.name);
+            }
+            if (current.value !== previous.value) {
+                inputId = inputId.withValue(current.value);
+            }
+            if (current.type !== previous.type) {
+                inputId = inputId.withType(current.type);
+            }
+            if (inputId.ignoreUniqueness().toString() === state.inputId.ignoreUniqueness().toString()) {
+                return;
+            }
+            removeAriaReferences(element, state.inputId, state.roles);
+            state.inputId.release();
+            element.removeAttribute('id');
+            const nextState = link(element, new InputId({...inputId.toObject(), element: element}), roles, options);
+            if (state.label && !nextState.label) {
+                state.label.htmlFor = element.id;
+                nextState.label = state.label;
+            }
+            directiveStates.set(element, nextState);
+        },
+
+        beforeUnmount(element) {
+            const state = directiveStates.get(element);
+            if (state) {
+                state.inputId.release();
+                directiveStates.delete(element);
+            }
+        }
+    };
+}
+
+/**
+ * The v-input-id directive without the plugin options and registry (see makeInputIdDirective).
+ */
+const vInputId = makeInputIdDirective({});
+
+/**
+ * Make a plugin which provides InputId options (ex: prefix, separator, fallback) and a registry
+ * to the useInputId composable and to the v-input-id directive, which it registers.
+ * The registry is a new MemoryIdRegistry for each plugin by default.
+ *
+ * @param {Object} options InputId options and the "registry".
+ * @returns {Object} The Vue plugin.
+ */
+function createInputId(options = {}) {
+    const {registry = new MemoryIdRegistry(), ...inputIdOptions} = options;
+    return {
+        install(app) {
+            app.provide(INPUT_ID_KEY, {options: inputIdOptions, registry: registry});
+            app.directive('input-id', makeInputIdDirective({...inputIdOptions, registry: registry}));
+        }
+    };
+}
+
+/**
+ * Generate an InputId in a component setup (ex: for render functions), without a document and without
+ * side effects while rendering, so the server and the client render the same IDs. The rendered ID doesn't have
+ * a uniqueness suffix: when the component is mounted, the ID is made unique and reserved in the plugin registry,
+ * according to the mounting order, and the component is rendered again with it.
+ * The options might be reactive (a ref, a getter or an object with refs). The InputId is generated again
+ * when they change, releasing the previous ID, and it's released when the component is unmounted.
+ * The InputId doesn't enforce the uniqueness, so the IDs derived from it (ex: with withValue) aren't reserved.
+ * Without the plugin, the uniqueness isn't enforced.
+ *
+ * @param {Object|Function} options InputId options, which extend the plugin ones (ex: name, value, type).
+ * @returns {ComputedRef<InputId>} The InputId.
+ */
+function useInputId(options = {}) {
+    const {options: providedOptions, registry} = inject(INPUT_ID_KEY, {options: {}, registry: null});
+    const resolveOptions = () => {
+        const resolvedOptions = typeof options === 'function' ? options() : unref(options);
+        return Object.keys(resolvedOptions).reduce((unwrappedOptions, name) => ({
+            ...unwrappedOptions,
+            [name]: isRef(resolvedOptions[name]) ? resolvedOptions[name].value : resolvedOptions[name]
+        }), {});
+    };
+    const candidate = computed(() => new InputId({
+        forceUniqueness: registry !== null,
+        ...providedOptions,
+        ...resolveOptions(),
+        ownerDocument: null,
+        registry: registry
+    }));
+    // The candidate which ID is reserved, once the component is mounted, and the InputId with that ID.
+    const reserved = shallowRef(null);
+    let isMounted = false;
+    const reserve = () => {
+        const current = candidate.value;
+        reserved.value = current.toObject().forceUniqueness
+            ? {
+                candidate: current.resolve(),
+                inputId: new InputId({...current.toObject(), forceUniqueness: false, id: current.toString()})
+            }
+            : null;
+    };
+    const release = () => {
+        if (reserved.value !== null) {
+            reserved.value.candidate.release();
+        }
+    };
+    onMounted(() => {
+        isMounted = true;
+        reserve();
+    });
+    watch(candidate, () => {
+        if (isMounted) {
+            release();
+            reserve();
+        }
+    });
+    onBeforeUnmount(() => {
+        isMounted = false;
+        release();
+    });
+    return computed(() => (
+        reserved.value !== null && reserved.value.candidate === candidate.value
+            ? reserved.value.inputId
+            : candidate.value.ignoreUniqueness()
+    ));
+}
+
+module.exports = {
+    createInputId,
+    useInputId,
+    vInputId
+};
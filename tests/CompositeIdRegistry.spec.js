@@ -0,0 +1,34 @@
+const CompositeIdRegistry = require('inputid/src/CompositeIdRegistry');
+const DomIdRegistry = require('inputid/src/DomIdRegistry');
+const MemoryIdRegistry = require('inputid/src/MemoryIdRegistry');
+
+describe('compositeIdRegistry', () => {
+    beforeEach(() => {
+        document.documentElement.innerHTML = '';
+    });
+
+    test('checks the IDs in every registry', () => {
+        document.body.innerHTML = '<input id="color">';
+        const memoryRegistry = new MemoryIdRegistry();
+        const registry = new CompositeIdRegistry([new DomIdRegistry(document), memoryRegistry]);
+        memoryRegistry.reserve('size');
+        expect(registry.has('color')).toBe(true);
+        expect(registry.has('size')).toBe(true);
+        expect(registry.has('age')).toBe(false);
+    });
+
+    test('reserves and releases IDs in every registry', () => {
+        document.body.innerHTML = '<input id="color">';
+        const memoryRegistry = new MemoryIdRegistry();
+        const registry = new CompositeIdRegistry([new DomIdRegistry(document), memoryRegistry]);
+        expect(registry.reserve('color')).toBe(false);
+        expect(memoryRegistry.has('color')).toBe(false);
+        expect(registry.reserve('size')).toBe(true);
+        expect(memoryRegistry.has('size')).toBe(true);
+        registry.release('size');
+        expect(registry.has('size')).toBe(false);
+        registry.reserve('age');
+        registry.clear();
+        expect(registry.has('age')).toBe(false);
+    });
+});
@@ -0,0 +1,33 @@
+const DomIdRegistry = require('inputid/src/DomIdRegistry');
+
+describe('domIdRegistry', () => {
+    beforeEach(() => {
+        document.documentElement.innerHTML = '';
+    });
+
+    test('checks the IDs of the elements in the document', () => {
+        document.body.innerHTML = '<input id="color">';
+        const registry = new DomIdRegistry(document);
+        const inputElement = document.getElementById('color');
+        expect(registry.has('color')).toBe(true);
+        expect(registry.has('color', inputElement)).toBe(false);
+        expect(registry.has('color', document.createElement('input'))).toBe(true);
+        expect(registry.has('size')).toBe(false);
+    });
+
+    test('reserves only the IDs which do not belong to other elements', () => {
+        document.body.innerHTML = '<input id="color">';
+        const registry = new DomIdRegistry(document);
+        expect(registry.reserve('color')).toBe(false);
+        expect(registry.reserve('color', document.getElementById('color'))).toBe(true);
+        expect(registry.reserve('size')).toBe(true);
+        registry.release('color');
+        registry.clear();
+        expect(registry.has('color')).toBe(true);
+    });
+
+    test('throws exception when the root is invalid', () => {
+        expect(() => new DomIdRegistry(document.createElement('div'))).toThrow(TypeError);
+        expect(() => new DomIdRegistry(document.createDocumentFragment())).not.toThrow();
+    });
+});
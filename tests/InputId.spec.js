@@ -1,4 +1,7 @@
 const InputId = require('inputid');
+const CompositeIdRegistry = require('inputid/src/CompositeIdRegistry');
+const DomIdRegistry = require('inputid/src/DomIdRegistry');
+const MemoryIdRegistry = require('inputid/src/MemoryIdRegistry');
 
 describe('inputId', () => {
     beforeEach(() => {
@@ -76,6 +79,46 @@ describe('inputId', () => {
         expect(optionElement.id).toEqual('red');
     });
 
+    test('generates an ID from an option element given in the options', () => {
+        const selectElement = document.createElement('select');
+        selectElement.name = 'color';
+        const optionElement = document.createElement('option');
+        optionElement.value = 'red';
+        selectElement.appendChild(optionElement);
+        expect(new InputId({element: optionElement, forceUniqueness: false}).toString()).toEqual('color_red');
+    });
+
+    test('generates an ID from an option element inside an optgroup element', () => {
+        const selectElement = document.createElement('select');
+        selectElement.name = 'size';
+        selectElement.innerHTML = '<optgroup label="Kids"><option value="s">S</option></optgroup>';
+        const optionElement = selectElement.querySelector('option');
+        expect(new InputId(optionElement).toString()).toEqual('size_s');
+        expect(new InputId(selectElement.querySelector('optgroup')).toString()).toEqual('size_kids');
+        const typeRules = {option: {parts: ['name', 'group', 'value']}};
+        expect(new InputId({element: optionElement, typeRules}).toString()).toEqual('size_kids_s');
+        expect(new InputId({element: optionElement, typeRules, group: 'Adults'}).toString()).toEqual('size_adults_s');
+        expect(new InputId({name: 'size', value: 's', type: 'option', typeRules}).toString()).toEqual('size_s');
+    });
+
+    test('generates an ID from an option element inside a datalist element', () => {
+        document.body.innerHTML = `
+            <input type="text" name="browser" list="browsers">
+            <datalist id="browsers"><option value="firefox"></option></datalist>
+            <datalist id="unused"><option value="chrome"></option></datalist>`;
+        const [usedOptionElement, unusedOptionElement] = document.querySelectorAll('option');
+        expect(new InputId(usedOptionElement).toString()).toEqual('browser_firefox');
+        expect(new InputId(unusedOptionElement).toString()).toEqual('chrome');
+    });
+
+    test('generates an ID from an option element inside a document fragment', () => {
+        const fragment = document.createDocumentFragment();
+        const optionElement = document.createElement('option');
+        optionElement.value = 'red';
+        fragment.appendChild(optionElement);
+        expect(new InputId(optionElement).toString()).toEqual('red');
+    });
+
     test('generates an ID from a element without a name', () => {
         const element = document.createElement('input');
         element.type = 'text';
@@ -93,6 +136,77 @@ describe('inputId', () => {
         expect(element.id).toEqual('likes_programming');
     });
 
+    test('copies instances with other options', () => {
+        const inputId = new InputId({prefix: 'signup', name: 'email'});
+        expect(inputId.withPrefix('billing').withSeparator('-').toString()).toEqual('billing-email');
+        expect(inputId.withPrefix(null).withName('').withFallback('field').toString()).toEqual('field');
+        expect(
+            inputId.with({prefix: 'billing', name: 'color', type: 'radio', value: 'red'}).toString()
+        ).toEqual('billing_color_red');
+        expect(inputId.toString()).toEqual('signup_email');
+        expect(() => inputId.with({prefx: 'billing'})).toThrow(TypeError);
+        expect(() => inputId.with({separator: '+'})).toThrow(RangeError);
+        expect(() => inputId.withFallback('1')).toThrow(TypeError);
+        expect(() => inputId.with({element: document.createElement('input')})).toThrow(TypeError);
+    });
+
+    test('derives the IDs of copies from the resolved ID', () => {
+        const registry = new MemoryIdRegistry();
+        registry.reserve('paint_color');
+        const colorId = new InputId({prefix: 'paint', name: 'color', registry: registry, forceUniqueness: true}).resolve();
+        expect(colorId.toString()).toEqual('paint_color_1');
+        const optionId = colorId.ignoreUniqueness().withType('option');
+        expect(optionId.withValue('red').toString()).toEqual('paint_color_red');
+        const uniqueOptionId = colorId.withType('option');
+        expect(uniqueOptionId.withValue('red').toString()).toEqual('paint_color_1_red');
+        expect(uniqueOptionId.withValue('blue').with({resolution: 'eager'}).toString()).toEqual('paint_color_1_blue');
+        expect(uniqueOptionId.withValue('red').equals(colorId.withType('option').withValue('red'))).toBe(true);
+        expect(uniqueOptionId.withName('shade').withValue('red').toString()).toEqual('paint_shade_red');
+        expect(colorId.withPrefix('qa').toString()).toEqual('qa_color');
+        expect(colorId.with({type: 'option', value: 'red', format: '{name}--{value}'}).toString()).toEqual('color--red');
+        expect(colorId.withType('option').with({format: '{value}--{name}'}).withValue('red').toString())
+            .toEqual('red--color');
+        expect(() => colorId.withValue('red').with({resolution: 'later'})).toThrow(RangeError);
+        registry.reserve('size');
+        const sizeId = new InputId({name: 'size', format: '{name}__{value}', registry: registry, forceUniqueness: true});
+        expect(sizeId.toString()).toEqual('size_1');
+        expect(sizeId.withType('option').withValue('xl').toString()).toEqual('size_1__xl');
+    });
+
+    test('does not reserve the IDs of copies until they are converted to strings', () => {
+        const registry = new MemoryIdRegistry();
+        const inputId = new InputId({name: 'color', registry: registry, forceUniqueness: true, resolution: 'eager'});
+        const redId = inputId.withType('radio').withValue('red');
+        expect(registry.has('color')).toBe(true);
+        expect(registry.has('color_1')).toBe(false);
+        expect(Object.isFrozen(redId)).toBe(false);
+        expect(redId.toString()).toEqual('color_red');
+        expect(registry.has('color_red')).toBe(true);
+    });
+
+    test('generates IDs with factories', () => {
+        document.body.innerHTML = `
+            <input type="text" name="email">
+            <input type="radio" name="color" value="red">`;
+        const [emailElement, colorElement] = document.querySelectorAll('input');
+        const registry = new MemoryIdRegistry();
+        const signupId = InputId.factory({prefix: 'signup', separator: '-', registry: registry, forceUniqueness: true});
+        expect(signupId.defaults.prefix).toEqual('signup');
+        expect(signupId(emailElement).toString()).toEqual('signup-email');
+        expect(signupId({element: colorElement, prefix: 'account'}).toString()).toEqual('account-color-red');
+        expect(signupId({name: 'email'}).toString()).toEqual('signup-email-1');
+        expect(signupId().toString()).toEqual('signup');
+        expect(registry.has('signup-email-1')).toBe(true);
+        const memoryRegistry = new MemoryIdRegistry();
+        const makeId = InputId.factory({prefix: 'p', ownerDocument: null, registry: memoryRegistry});
+        expect(makeId.defaults.forceUniqueness).toBe(true);
+        expect(makeId({name: 'n'}).toString()).toEqual('p_n');
+        expect(makeId({name: 'n'}).toString()).toEqual('p_n_1');
+        expect(memoryRegistry.has('p_n_1')).toBe(true);
+        expect(InputId.factory({name: 'n', ownerDocument: null}).defaults).not.toHaveProperty('forceUniqueness');
+        expect(() => InputId.factory({separator: '+'})).toThrow(RangeError);
+    });
+
     test('generates an ID from an HTMLElement outside a document', () => {
         const element = document.createElement('input');
         element.setAttribute('type', 'radio');
@@ -114,6 +228,44 @@ describe('inputId', () => {
         expect(inputElement.id).toEqual('personal-info_color_red');
     });
 
+    test('derives the name, the value and the prefix from the "element" option', () => {
+        document.body.innerHTML = `
+            <form id="myform">
+                <input type="radio" name="color" value="red">
+            </form>`;
+        const inputElement = document.querySelector('input');
+        expect(String(new InputId({element: inputElement}))).toEqual('myform_color_red');
+        expect(String(new InputId(inputElement))).toEqual('myform_color_red');
+    });
+
+    test('derives the prefix from the "form" attribute', () => {
+        document.body.innerHTML = `
+            <form id="myform"></form>
+            <input type="radio" name="color" value="red" form="myform">
+            <div data-name="custom" form="myform"></div>`;
+        expect(
+            String(new InputId(document.querySelector('input')))
+        ).toEqual('myform_color_red');
+        expect(
+            String(new InputId(document.querySelector('div')))
+        ).toEqual('myform_custom');
+    });
+
+    test('prefers options to the element attributes', () => {
+        document.body.innerHTML = `
+            <form id="myform">
+                <input type="radio" name="color" value="red">
+            </form>`;
+        expect(
+            String(new InputId({
+                element: document.querySelector('input'),
+                prefix: 'other',
+                name: 'colour',
+                value: 'blue'
+            }))
+        ).toEqual('other_colour_blue');
+    });
+
     test('generates an unique ID in a document', () => {
         const inputElementA = document.createElement('input');
         inputElementA.setAttribute('type', 'text');
@@ -205,6 +357,19 @@ describe('inputId', () => {
         inputElement.setAttribute('data-name', 'age');
         inputElement.id = new InputId(inputElement);
         expect(inputElement.id).toEqual('age');
+        const namedElement = document.createElement('input');
+        namedElement.setAttribute('name', 'years');
+        namedElement.setAttribute('data-name', 'birth-age');
+        expect(new InputId(namedElement).toString()).toEqual('birth-age');
+    });
+
+    test('ignores the default value of checkboxes and radio buttons', () => {
+        const checkboxElement = document.createElement('input');
+        checkboxElement.type = 'checkbox';
+        checkboxElement.name = 'terms';
+        expect(new InputId(checkboxElement).toString()).toEqual('terms');
+        checkboxElement.value = 'accepted';
+        expect(new InputId(checkboxElement).toString()).toEqual('terms_accepted');
     });
 
     test('handles the "element" property', () => {
@@ -258,6 +423,965 @@ describe('inputId', () => {
         ).toEqual(labelElement);
     });
 
+    test('finds the elements matching an ID, ignoring uniqueness suffixes', () => {
+        document.body.innerHTML = `
+            <input type="text" name="phone" id="phone">
+            <input type="text" name="phone" id="phone_2">
+            <input type="text" name="phonetic" id="phonetic">
+            <input type="radio" name="color" value="red" id="color_red">
+            <input type="radio" name="color" value="green" id="color_green_1">
+            <input type="text" name="color_other" id="color_other">`;
+        const inputElements = document.querySelectorAll('input');
+        expect(new InputId({name: 'phone'}).getElements()).toEqual([inputElements[0], inputElements[1]]);
+        expect(new InputId({name: 'color'}).getElements()).toEqual([inputElements[3], inputElements[4]]);
+        expect(new InputId({name: 'color', type: 'radio', value: 'green'}).getElements()).toEqual([inputElements[4]]);
+        expect(new InputId({name: 'missing'}).getElements()).toEqual([]);
+        expect(new InputId({name: 'phone', ownerDocument: null}).getElements()).toEqual([]);
+    });
+
+    test('gets the labels, the fieldset and the legend of a group of elements', () => {
+        document.body.innerHTML = `
+            <fieldset>
+                <span id="color-help">Pick one</span>
+                <fieldset>
+                    <legend>Favorite color</legend>
+                    <label><input type="radio" name="color" value="red" id="color_red"> Red</label>
+                    <input type="radio" name="color" value="blue" id="color_blue" aria-labelledby="color-help">
+                    <label for="color_blue">Blue</label>
+                </fieldset>
+            </fieldset>`;
+        const group = new InputId({name: 'color'}).getGroup();
+        expect(group.elements.map(element => element.id)).toEqual(['color_red', 'color_blue']);
+        expect(group.labels.map(label => label.textContent.trim())).toEqual(['Red', 'Blue']);
+        expect(group.labelledBy).toEqual([document.getElementById('color-help')]);
+        expect(group.fieldset).toBe(document.querySelectorAll('fieldset')[1]);
+        expect(group.legend.textContent).toEqual('Favorite color');
+        expect(new InputId({name: 'size'}).getGroup()).toEqual({
+            elements: [],
+            labels: [],
+            labelledBy: [],
+            fieldset: null,
+            legend: null
+        });
+    });
+
+    test('computes the accessible name of an element or a group', () => {
+        document.body.innerHTML = `
+            <fieldset>
+                <legend> Shipping
+                    method </legend>
+                <input type="radio" name="shipping" value="post" id="shipping_post">
+            </fieldset>
+            <span id="email-label">E-mail</span><span id="email-note">(work)</span>
+            <input type="email" name="email" id="email" aria-labelledby="email-label email-note" aria-label="Mail">
+            <input type="text" name="city" id="city" aria-label="Town">
+            <label>Country <select name="country" id="country"><option>Portugal</option></select></label>
+            <button name="send" id="send">Send <b>now</b></button>
+            <input type="search" name="query" id="query" placeholder="Search">
+            <input type="text" name="unnamed" id="unnamed">`;
+        const accessibleName = name => new InputId({name: name}).getAccessibleName();
+        expect(accessibleName('email')).toEqual('E-mail (work)');
+        expect(accessibleName('city')).toEqual('Town');
+        expect(accessibleName('country')).toEqual('Country');
+        expect(accessibleName('send')).toEqual('Send now');
+        expect(accessibleName('query')).toEqual('Search');
+        expect(accessibleName('unnamed')).toBeNull();
+        expect(accessibleName('shipping')).toEqual('Shipping method');
+        expect(accessibleName('missing')).toBeNull();
+    });
+
+    test('generates IDs for elements related to a form control', () => {
+        const inputId = new InputId({
+            prefix: 'signup',
+            name: 'email'
+        });
+        expect(inputId.forRole('hint').toString()).toEqual('signup_email_hint');
+        expect(inputId.forRole('error').toString()).toEqual('signup_email_error');
+        expect(inputId.forRole('hint').forRole(null).toString()).toEqual('signup_email');
+        expect(inputId.forRole('hint').toArray()).toEqual(['signup_email', 'hint']);
+    });
+
+    test('generates related IDs from the unique form control ID', () => {
+        document.body.innerHTML = `
+            <input type="text" name="email" id="email">
+            <input type="text" name="email" aria-describedby="email_1_hint">
+            <p id="email_1_hint"></p>
+            <p id="email_1_error"></p>`;
+        const inputElement = document.querySelectorAll('input')[1];
+        const inputId = new InputId(inputElement);
+        expect(inputId.toString()).toEqual('email_1');
+        expect(inputId.forRole('hint').toString()).toEqual('email_1_hint');
+        expect(inputId.forRole('error').toString()).toEqual('email_1_error_1');
+        expect(inputId.forRole('error').toArray()).toEqual(['email_1', 'error']);
+    });
+
+    test('reserves related IDs for the form control without a document', () => {
+        const registry = new MemoryIdRegistry();
+        const inputId = new InputId({name: 'email', ownerDocument: null, registry: registry, forceUniqueness: true});
+        expect(inputId.forRole('hint').toString()).toEqual('email_hint');
+        expect(inputId.forRole('hint').toString()).toEqual('email_hint');
+        expect(inputId.toString()).toEqual('email');
+        expect(registry.has('email_hint')).toBe(true);
+        expect(
+            new InputId({name: 'email_hint', ownerDocument: null, registry: registry, forceUniqueness: true}).toString()
+        ).toEqual('email_hint_1');
+    });
+
+    test('sets ARIA attributes referring to related elements', () => {
+        const inputElement = document.createElement('input');
+        inputElement.name = 'country';
+        inputElement.setAttribute('aria-describedby', 'country-note');
+        const inputId = new InputId(inputElement);
+        expect(
+            inputId.setAriaReferences(['hint', 'error', 'controls'])
+        ).toEqual({
+            hint: 'country_hint',
+            error: 'country_error',
+            controls: 'country_controls'
+        });
+        inputId.setAriaReferences(['hint']);
+        expect(inputElement.getAttribute('aria-describedby')).toEqual('country-note country_hint');
+        expect(inputElement.getAttribute('aria-errormessage')).toEqual('country_error');
+        expect(inputElement.getAttribute('aria-controls')).toEqual('country_controls');
+    });
+
+    test('throws exception when setting ARIA attributes is not possible', () => {
+        expect(() => {
+            new InputId({name: 'country'}).setAriaReferences(['hint']);
+        }).toThrow(TypeError);
+        expect(() => {
+            new InputId(document.createElement('input')).setAriaReferences(['unknown']);
+        }).toThrow(RangeError);
+        expect(() => {
+            new InputId({role: 1});
+        }).toThrow(TypeError);
+    });
+
+    test('parses an ID generated for a form control in the document', () => {
+        document.body.innerHTML = `
+            <form id="myform">
+                <input type="radio" name="color" value="red" id="myform_color_red">
+                <input type="radio" name="color" value="red" id="myform_color_red_1">
+                <input type="text" name="first_name" id="myform_first_name">
+            </form>`;
+        const radioElements = document.querySelectorAll('input[type="radio"]');
+        expect(InputId.parse('myform_color_red_1')).toEqual({
+            prefix: 'myform',
+            name: 'color',
+            value: 'red',
+            type: 'radio',
+            suffixIndex: 1,
+            element: radioElements[1],
+            ambiguous: false,
+            candidates: [expect.objectContaining({element: radioElements[1]})]
+        });
+        expect(InputId.parse('myform_color_red')).toMatchObject({
+            suffixIndex: null,
+            element: radioElements[0],
+            ambiguous: false
+        });
+        expect(InputId.parse('myform_first_name')).toMatchObject({
+            prefix: 'myform',
+            name: 'first_name',
+            value: null,
+            type: 'text',
+            ambiguous: false
+        });
+    });
+
+    test('parses an ID which is not in the document', () => {
+        expect(InputId.parse('color')).toMatchObject({
+            prefix: null,
+            name: 'color',
+            value: null,
+            suffixIndex: null,
+            ambiguous: false
+        });
+        const parsed = InputId.parse('color_red_2');
+        expect(parsed.ambiguous).toBe(true);
+        expect(parsed).toMatchObject({name: 'color_red_2', suffixIndex: null});
+        expect(parsed.candidates).toContainEqual(expect.objectContaining({
+            prefix: null,
+            name: 'color',
+            value: 'red',
+            suffixIndex: 2
+        }));
+        expect(InputId.parse('myform-color-red-2', {
+            prefix: 'myform',
+            separator: '-'
+        }).candidates).toEqual([
+            {prefix: 'myform', name: 'color-red-2', value: null, suffixIndex: null, type: null, element: null},
+            {prefix: 'myform', name: 'color-red', value: '2', suffixIndex: null, type: null, element: null},
+            {prefix: 'myform', name: 'color-red', value: null, suffixIndex: 2, type: null, element: null},
+            {prefix: 'myform', name: 'color', value: 'red', suffixIndex: 2, type: null, element: null}
+        ]);
+    });
+
+    test('parses an ID with a fallback prefix in HTML4 documents', () => {
+        document.doctype.parentNode.replaceChild(
+            document.implementation.createDocumentType(
+                'html',
+                '-//W3C//DTD HTML 4.01 Transitional//EN',
+                'http://www.w3.org/TR/html4/loose.dtd'
+            ),
+            document.doctype
+        );
+        expect(InputId.parse('f_2021')).toMatchObject({
+            name: '2021',
+            ambiguous: false
+        });
+        document.body.innerHTML = '<input type="text" name="2021" id="f_2021">';
+        expect(InputId.parse('f_2021')).toMatchObject({
+            name: '2021',
+            type: 'text',
+            element: document.querySelector('input')
+        });
+    });
+
+    test('generates the same IDs with and without a document', () => {
+        const registry = new MemoryIdRegistry();
+        const serverIds = ['name', 'name', 'age'].map(name => new InputId({
+            name: name,
+            ownerDocument: null,
+            registry: registry,
+            forceUniqueness: true
+        }).toString());
+        const clientIds = ['name', 'name', 'age'].map(name => {
+            const inputElement = document.createElement('input');
+            inputElement.name = name;
+            document.body.appendChild(inputElement);
+            inputElement.id = new InputId(inputElement);
+            return inputElement.id;
+        });
+        expect(serverIds).toEqual(['name', 'name_1', 'age']);
+        expect(clientIds).toEqual(serverIds);
+    });
+
+    test('reserves IDs of elements outside the document in a registry', () => {
+        document.body.innerHTML = '<input type="radio" name="color" value="red" id="color_red">';
+        const registry = new CompositeIdRegistry([
+            new DomIdRegistry(document),
+            new MemoryIdRegistry()
+        ]);
+        const inputIds = [1, 2].map(() => {
+            const inputElement = document.createElement('input');
+            inputElement.type = 'radio';
+            inputElement.name = 'color';
+            inputElement.value = 'red';
+            return new InputId({element: inputElement, registry: registry});
+        });
+        expect(inputIds.map(String)).toEqual(['color_red_1', 'color_red_2']);
+        inputIds[0].release();
+        expect(
+            String(new InputId({type: 'radio', name: 'color', value: 'red', registry: registry, forceUniqueness: true}))
+        ).toEqual('color_red_1');
+    });
+
+    test('throws exception when the registry option is invalid', () => {
+        expect(() => {
+            new InputId({registry: {has: () => false}});
+        }).toThrow(TypeError);
+        expect(() => {
+            new InputId({registry: new MemoryIdRegistry()});
+        }).not.toThrow();
+    });
+
+    test('appends hashes of the suffix data to IDs which are not unique', () => {
+        document.body.innerHTML = '<input name="qty" id="qty">';
+        const inputId = new InputId({
+            name: 'qty',
+            suffix: 'hash',
+            suffixData: {row: 3},
+            forceUniqueness: true
+        });
+        const otherInputId = new InputId({
+            name: 'qty',
+            suffix: 'hash',
+            suffixData: {row: 4},
+            forceUniqueness: true
+        });
+        expect(inputId.toString()).toMatch(/^qty_[0-9a-z]+$/);
+        expect(inputId.withName('qty').toString()).toEqual(inputId.toString());
+        expect(otherInputId.toString()).not.toEqual(inputId.toString());
+    });
+
+    test('appends hashes of the element path to IDs which are not unique', () => {
+        document.body.innerHTML = `
+            <input name="qty" id="qty">
+            <fieldset id="row-a"><input name="qty"></fieldset>
+            <fieldset id="row-b"><input name="qty"></fieldset>`;
+        const generateIds = () => Array.from(document.querySelectorAll('fieldset input'))
+            .map(element => new InputId({element: element, suffix: 'hash'}).toString());
+        const ids = generateIds();
+        expect(ids[0]).not.toEqual(ids[1]);
+        document.body.insertBefore(
+            document.getElementById('row-b'),
+            document.getElementById('row-a')
+        );
+        expect(generateIds().reverse()).toEqual(ids);
+    });
+
+    test('appends suffixes returned by a function to IDs which are not unique', () => {
+        document.body.innerHTML = '<input id="qty"><input id="qty_copy">';
+        const suffix = jest.fn(attemptNumber => attemptNumber === 1 ? 'copy' : `copy${attemptNumber}`);
+        expect(
+            new InputId({name: 'qty', suffix: suffix, forceUniqueness: true}).toString()
+        ).toEqual('qty_copy2');
+        expect(suffix).toHaveBeenCalledWith(1, {baseId: 'qty', element: null, data: null});
+    });
+
+    test('throws exception when a unique ID is not found after the maximum attempts', () => {
+        document.body.innerHTML = '<input id="qty"><input id="qty_1"><input id="qty_2">';
+        expect(() => {
+            new InputId({name: 'qty', maxAttempts: 2, forceUniqueness: true}).toString();
+        }).toThrow(RangeError);
+        expect(
+            new InputId({name: 'qty', maxAttempts: 3, forceUniqueness: true}).toString()
+        ).toEqual('qty_3');
+        expect(() => {
+            new InputId({name: 'qty', maxAttempts: -1});
+        }).toThrow(RangeError);
+        expect(() => {
+            new InputId({name: 'qty', suffix: 'random'});
+        }).toThrow(RangeError);
+    });
+
+    test('truncates long IDs deterministically', () => {
+        const longName = 'a very long free text option value '.repeat(4);
+        const inputId = new InputId({
+            prefix: 'order',
+            type: 'radio',
+            name: 'gift_message',
+            value: longName,
+            maxLength: 32
+        });
+        expect(inputId.toString()).toHaveLength(32);
+        expect(inputId.toString()).toMatch(/^order_gift_message_a-ver_[0-9a-z]{7}$/);
+        expect(inputId.toString()).toEqual(inputId.withValue(longName).toString());
+        expect(inputId.toString()).not.toEqual(inputId.withValue(`${longName}2`).toString());
+        expect(inputId.withValue('short').toString()).toEqual('order_gift_message_short');
+    });
+
+    test('truncates long unique IDs including the suffix', () => {
+        const name = 'a_very_long_name_which_does_not_fit';
+        const inputIds = [1, 2, 3].map(() => {
+            const inputElement = document.createElement('input');
+            inputElement.name = name;
+            document.body.appendChild(inputElement);
+            inputElement.id = new InputId({element: inputElement, maxLength: 20});
+            return inputElement.id;
+        });
+        inputIds.forEach(id => expect(id.length).toBeLessThanOrEqual(20));
+        expect(inputIds[0]).toMatch(/^a_very_long_[0-9a-z]{7}$/);
+        expect(inputIds[1]).toMatch(/^a_very_lon_[0-9a-z]{7}_1$/);
+        expect(new Set(inputIds).size).toEqual(3);
+    });
+
+    test('truncates unique IDs with long suffixes to short maximum lengths', () => {
+        const registry = new MemoryIdRegistry();
+        const ids = [1, 2, 3].map(index => new InputId({
+            name: 'newsletter_subscription',
+            registry: registry,
+            forceUniqueness: true,
+            suffix: 'hash',
+            suffixData: index,
+            maxLength: 12
+        }).toString());
+        ids.forEach(id => expect(id.length).toBeLessThanOrEqual(12));
+        expect(ids[0]).toMatch(/^news_[0-9a-z]{7}$/);
+        expect(ids[1]).toMatch(/^n_[0-9a-z]+_[0-9a-z]+$/);
+        expect(new Set(ids).size).toEqual(3);
+        registry.reserve('newsletter');
+        expect(() => new InputId({
+            name: 'newsletter',
+            registry: registry,
+            forceUniqueness: true,
+            suffix: () => 'a_very_long_suffix',
+            maxLength: 10
+        }).toString()).toThrow(RangeError);
+    });
+
+    test('throws exception when the maximum length is invalid', () => {
+        expect(() => new InputId({maxLength: 9})).toThrow(RangeError);
+        expect(() => new InputId({maxLength: 10.5})).toThrow(RangeError);
+        expect(() => new InputId({maxLength: Infinity})).not.toThrow();
+    });
+
+    test('splits names in bracket and dot notations', () => {
+        expect(
+            new InputId({name: 'address[billing][street]', nameNotation: 'brackets'}).toArray()
+        ).toEqual(['address', 'billing', 'street']);
+        expect(
+            new InputId({prefix: 'order', name: 'items[3][qty]', nameNotation: 'auto', separator: '-'}).toString()
+        ).toEqual('order-items-3-qty');
+        expect(
+            new InputId({name: 'address.billing.street', nameNotation: 'dots'}).toString()
+        ).toEqual('address_billing_street');
+        expect(
+            new InputId({type: 'checkbox', name: 'colors[]', value: 'red', nameNotation: 'brackets'}).toString()
+        ).toEqual('colors_red');
+        expect(
+            new InputId({name: 'address[billing][street]'}).toString()
+        ).toEqual('address-billing-street');
+        expect(() => new InputId({nameNotation: 'json'})).toThrow(RangeError);
+    });
+
+    test('includes scopes between the prefix and the name', () => {
+        expect(
+            new InputId({prefix: 'order', scope: ['shipping', 2], name: 'street'}).toArray()
+        ).toEqual(['order', 'shipping', '2', 'street']);
+        expect(
+            new InputId({scope: 'shipping', name: 'street'}).toString()
+        ).toEqual('shipping_street');
+        expect(() => new InputId({scope: [{}]})).toThrow(TypeError);
+    });
+
+    test('includes the scopes of the ancestor fieldset and section elements', () => {
+        document.body.innerHTML = `
+            <form id="order">
+                <fieldset name="shipping">
+                    <section data-inputid-scope="address">
+                        <div><input type="text" name="street"></div>
+                    </section>
+                </fieldset>
+            </form>`;
+        const inputElement = document.querySelector('input');
+        expect(
+            new InputId({element: inputElement, scope: true}).toString()
+        ).toEqual('order_shipping_address_street');
+        expect(
+            new InputId({element: inputElement}).toString()
+        ).toEqual('order_street');
+    });
+
+    test('inherits the options of the nearest ancestor data-inputid attributes', () => {
+        document.body.innerHTML = `
+            <div data-inputid-separator="-" data-inputid-unique="false">
+                <form id="signup" data-inputid-prefix="account" data-inputid-fallback="field">
+                    <fieldset data-inputid-prefix="" data-inputid-unique>
+                        <input type="text" name="email" id="email">
+                        <input type="text" name="email">
+                        <input type="text">
+                    </fieldset>
+                    <input type="text" name="phone" data-inputid-separator="_">
+                </form>
+            </div>`;
+        const [emailElement, otherEmailElement, unnamedElement, phoneElement] = document.querySelectorAll('input');
+        expect(new InputId(otherEmailElement).toString()).toEqual('email-1');
+        expect(new InputId(unnamedElement).toString()).toEqual('field');
+        expect(new InputId(phoneElement).toString()).toEqual('account_phone');
+        expect(
+            new InputId({element: emailElement, prefix: 'signup', separator: '_', forceUniqueness: false}).toString()
+        ).toEqual('signup_email');
+        expect(new InputId({element: unnamedElement, fallback: 'f'}).toString()).toEqual('f');
+        emailElement.setAttribute('data-inputid-separator', '+');
+        expect(() => new InputId(emailElement).toString()).toThrow(RangeError);
+        unnamedElement.setAttribute('data-inputid-fallback', '1');
+        expect(() => new InputId(unnamedElement).toString()).toThrow(TypeError);
+    });
+
+    test('formats IDs with templates', () => {
+        document.body.innerHTML = `
+            <form id="signup">
+                <input type="radio" name="color" value="dark red">
+                <input type="text" name="email" value="me@example.com">
+                <input type="text" name="email">
+            </form>`;
+        const [colorElement, emailElement, otherEmailElement] = document.querySelectorAll('input');
+        const format = '{prefix}--{name}__{value}';
+        expect(new InputId({element: colorElement, format: format}).toString()).toEqual('signup--color__dark-red');
+        emailElement.id = new InputId({element: emailElement, format: format});
+        expect(emailElement.id).toEqual('signup--email');
+        expect(new InputId({element: otherEmailElement, format: format}).toString()).toEqual('signup--email_1');
+        expect(new InputId({name: 'Email', value: 'x', type: 'radio', format: format}).toString()).toEqual('email__x');
+        expect(
+            new InputId({prefix: 'qa', name: 'email', type: 'email', format: '{prefix}-{type}-{name}'}).toString()
+        ).toEqual('qa-email-email');
+        expect(new InputId({format: '{prefix}--{name}'}).toString()).toEqual('f');
+        expect(new InputId({prefix: 'signup', format: '{name}-field'}).toString()).toEqual('f');
+        expect(new InputId({format: 'qa-{name}'}).toString()).toEqual('f');
+        expect(new InputId({name: 'email', format: 'qa-{name}-field'}).toString()).toEqual('qa-email-field');
+        expect(new InputId({name: 'email', format: 'qa-{prefix}-{name}-field'}).toString()).toEqual('email-field');
+        expect(
+            new InputId({element: emailElement, format: format}).forRole('hint').toString()
+        ).toEqual('signup--email_hint');
+        expect(() => new InputId({format: '{prefix}-{label}'})).toThrow(RangeError);
+        expect(() => new InputId({format: '{prefix}.{name}'})).toThrow(RangeError);
+        expect(() => new InputId({format: 1})).toThrow(TypeError);
+    });
+
+    test('formats IDs with functions', () => {
+        const format = parts => [parts.prefix, parts.scope, parts.name.toUpperCase()];
+        const inputId = new InputId({prefix: 'signup', scope: ['billing address'], name: 'street', format: format});
+        expect(inputId.toString()).toEqual('signup_billing-address_STREET');
+        expect(inputId.withPrefix(null).toString()).toEqual('billing-address_STREET');
+        expect(inputId.explain()[1].description).toEqual('The parts are formatted with the format function');
+        expect(() => inputId.toJSON()).toThrow(TypeError);
+        expect(() => new InputId({name: 'street', format: () => 'street name'}).toString()).toThrow(RangeError);
+        const templateId = new InputId({prefix: 'signup', name: 'street', format: '{name}--{prefix}'});
+        expect(InputId.fromJSON(JSON.stringify(templateId)).toObject().format).toEqual('{name}--{prefix}');
+        expect(templateId.equals(templateId.with({format: null}))).toBe(false);
+        const makeFormat = separator => parts => [parts.name, parts.prefix].join(separator);
+        expect(inputId.with({format: makeFormat('-')}).equals(inputId.with({format: makeFormat('--')}))).toBe(false);
+        expect(inputId.with({format: format}).equals(inputId)).toBe(true);
+        const makeSuffix = separator => attemptNumber => `${separator}${attemptNumber}`;
+        expect(inputId.with({suffix: makeSuffix('v')}).equals(inputId.with({suffix: makeSuffix('n')}))).toBe(false);
+    });
+
+    test('derives IDs for scopes and children', () => {
+        const rowId = new InputId({prefix: 'order', name: 'items[3]', nameNotation: 'brackets'});
+        expect(rowId.child('qty').toString()).toEqual('order_items_3_qty');
+        expect(rowId.child('qty').withValue('1').toString()).toEqual('order_items_3_qty');
+        expect(
+            rowId.child('size').withType('radio').withValue('xl').toString()
+        ).toEqual('order_items_3_size_xl');
+        expect(rowId.withScope(['cart']).toString()).toEqual('order_cart_items_3');
+        expect(new InputId({name: 'items'}).child('qty').child('unit').toString()).toEqual('items_qty_unit');
+    });
+
+    test('generates unique IDs and finds elements in shadow roots', () => {
+        document.body.innerHTML = '<input type="text" name="email" id="email_1">';
+        const hostElement = document.createElement('div');
+        document.body.appendChild(hostElement);
+        const shadowRoot = hostElement.attachShadow({mode: 'open'});
+        shadowRoot.innerHTML = `
+            <input type="text" name="email" id="email">
+            <label for="email_1">Other e-mail</label>
+            <input type="text" name="email">`;
+        const inputElement = shadowRoot.querySelectorAll('input')[1];
+        const inputId = new InputId(inputElement);
+        expect(inputId.toObject().root).toBe(shadowRoot);
+        inputElement.id = inputId;
+        expect(inputElement.id).toEqual('email_1');
+        expect(inputId.getElement()).toBe(inputElement);
+        expect(inputId.getLabels().map(label => label.textContent)).toEqual(['Other e-mail']);
+        expect(new InputId({name: 'email', root: shadowRoot, forceUniqueness: true}).toString()).toEqual('email_2');
+        expect(new InputId({name: 'email', root: document, forceUniqueness: true}).toString()).toEqual('email');
+        expect(InputId.parse('email_1', {root: shadowRoot}).element).toBe(inputElement);
+    });
+
+    test('generates IDs for custom elements with attributes', () => {
+        document.body.innerHTML = `
+            <form id="review">
+                <label>Rating <star-rating name="rating" type="radio" value="5"></star-rating></label>
+                <label for="review_comment">Comment</label>
+                <rich-text name="comment"></rich-text>
+            </form>`;
+        const [ratingElement, commentElement] = document.querySelectorAll('star-rating, rich-text');
+        expect(new InputId(ratingElement).toObject()).toMatchObject({
+            prefix: 'review',
+            type: 'radio',
+            name: 'rating',
+            value: '5'
+        });
+        ratingElement.id = new InputId(ratingElement);
+        commentElement.id = new InputId(commentElement);
+        expect(ratingElement.id).toEqual('review_rating_5');
+        expect(commentElement.id).toEqual('review_comment');
+        expect(new InputId(commentElement).getLabels().map(label => label.textContent)).toEqual(['Comment']);
+        expect(new InputId(ratingElement).getLabels()).toHaveLength(1);
+        expect(InputId.parse('review_comment').element).toBe(commentElement);
+    });
+
+    test('generates IDs for defined form-associated custom elements', () => {
+        class VolumeSlider extends HTMLElement {
+            static get formAssociated() {
+                return true;
+            }
+
+            constructor() {
+                super();
+                // ElementInternals isn't implemented by every environment (ex: jsdom).
+                this._internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+            }
+
+            get form() {
+                return this._internals ? this._internals.form : null;
+            }
+
+            get name() {
+                return this.getAttribute('name');
+            }
+
+            get type() {
+                return this.localName;
+            }
+
+            get value() {
+                return this.getAttribute('value') || '50';
+            }
+        }
+        customElements.define('volume-slider', VolumeSlider);
+        document.body.innerHTML = `
+            <form id="player">
+                <label>Volume <volume-slider name="volume"></volume-slider></label>
+                <volume-slider name="volume" data-name="balance"></volume-slider>
+            </form>`;
+        const [volumeElement, balanceElement] = document.querySelectorAll('volume-slider');
+        expect(volumeElement).toBeInstanceOf(VolumeSlider);
+        expect(new InputId(volumeElement).toObject()).toMatchObject({
+            prefix: 'player',
+            type: 'volume-slider',
+            name: 'volume',
+            value: '50'
+        });
+        volumeElement.id = new InputId(volumeElement);
+        expect(volumeElement.id).toEqual('player_volume');
+        expect(new InputId(balanceElement).toString()).toEqual('player_balance');
+        expect(
+            new InputId({element: volumeElement, typeRules: {'volume-slider': {parts: ['name', 'value']}}}).toString()
+        ).toEqual('player_volume_50');
+        expect(new InputId(volumeElement).getLabels().map(label => label.textContent.trim())).toEqual(['Volume']);
+        expect(InputId.parse('player_volume').element).toBe(volumeElement);
+    });
+
+    test('throws exception when the root option is invalid', () => {
+        expect(() => {
+            new InputId({name: 'email', root: document.createElement('div')});
+        }).toThrow(TypeError);
+        expect(new InputId({name: 'email', root: null}).getElement()).toBeNull();
+    });
+
+    test('generates IDs according to the element type rules', () => {
+        document.body.innerHTML = `
+            <form id="order">
+                <button name="action" value="save">Save</button>
+                <input type="submit" name="action" value="send">
+                <input type="image" name="pay" alt="Pay now" src="pay.png">
+                <output name="total" value="12"></output>
+                <select name="size"><optgroup label="Kids"><option>S</option></optgroup></select>
+            </form>`;
+        const ids = Array.from(document.querySelectorAll('button, input, output, optgroup'))
+            .map(element => new InputId(element).toString());
+        expect(ids).toEqual([
+            'order_action_save',
+            'order_action_send',
+            'order_pay_pay-now',
+            'order_total',
+            'order_size_kids'
+        ]);
+    });
+
+    test('generates IDs according to custom type rules', () => {
+        document.body.innerHTML = '<color-slider name="hue" value="120"></color-slider>';
+        const sliderElement = document.querySelector('color-slider');
+        expect(new InputId(sliderElement).toString()).toEqual('hue');
+        const typeRules = {
+            'color-slider': {parts: ['type', 'name', 'value']},
+            radio: {parts: ['name']}
+        };
+        expect(new InputId({element: sliderElement, typeRules}).toString()).toEqual('color-slider_hue_120');
+        expect(new InputId({name: 'color', type: 'radio', value: 'red', typeRules}).toString()).toEqual('color');
+        expect(new InputId({name: 'color', type: 'radio', value: 'red'}).toString()).toEqual('color_red');
+        expect(() => {
+            new InputId({name: 'hue', typeRules: {range: {parts: ['label']}}});
+        }).toThrow(RangeError);
+        expect(() => {
+            new InputId({name: 'hue', typeRules: 'range'});
+        }).toThrow(TypeError);
+    });
+
+    test('serializes and rehydrates IDs', () => {
+        document.body.innerHTML = `
+            <form id="signup">
+                <input type="text" name="email" id="signup_email">
+                <input type="text" name="email">
+            </form>`;
+        const inputElement = document.querySelectorAll('input')[1];
+        const inputId = new InputId({element: inputElement, suffix: 'hash', suffixData: 'row-2'});
+        const json = JSON.stringify(inputId);
+        const data = JSON.parse(json);
+        expect(data).toMatchObject({
+            id: inputId.toString(),
+            prefix: 'signup',
+            name: 'email',
+            policy: 'auto',
+            suffix: 'hash',
+            suffixData: 'row-2',
+            forceUniqueness: true
+        });
+        expect(data.id).toMatch(/^signup_email_[a-z0-9]+$/);
+        expect(data).not.toHaveProperty('ownerDocument');
+        inputElement.id = data.id;
+        const rehydratedId = InputId.fromJSON(json);
+        expect(rehydratedId.toString()).toEqual(data.id);
+        expect(rehydratedId.getElement()).toBe(inputElement);
+        expect(rehydratedId.checkHydration()).toBeNull();
+        expect(rehydratedId.withName('phone').toString()).toEqual('signup_phone');
+        expect(InputId.fromJSON(data, {ownerDocument: null}).toString()).toEqual(data.id);
+    });
+
+    test('does not serialize the values which IDs do not depend on', () => {
+        document.body.innerHTML = `
+            <input type="password" name="password">
+            <input type="radio" name="plan" value="pro">`;
+        const [passwordElement, planElement] = document.querySelectorAll('input');
+        passwordElement.value = 'hunter2';
+        const json = JSON.stringify(new InputId(passwordElement));
+        expect(json).not.toContain('hunter2');
+        expect(JSON.parse(json).value).toBeNull();
+        expect(new InputId(planElement).toJSON().value).toEqual('pro');
+    });
+
+    test('checks rehydrated IDs which prefix was an option', () => {
+        const data = new InputId({name: 'email', prefix: 'signup', ownerDocument: null}).toJSON();
+        document.body.innerHTML = '<input type="text" name="email" id="signup_email">';
+        expect(InputId.fromJSON(data).checkHydration()).toBeNull();
+        document.body.innerHTML = '<form id="billing"><input type="text" name="email" id="signup_email"></form>';
+        expect(InputId.fromJSON(data).checkHydration()).toMatchObject({
+            reason: 'parts',
+            expectedId: 'billing_email',
+            differences: [{part: 'prefix', stored: 'signup', live: 'billing'}]
+        });
+    });
+
+    test('diagnoses rehydrated IDs which do not match the document', () => {
+        document.body.innerHTML = `
+            <form id="signup">
+                <input type="radio" name="plan" value="pro" id="signup_plan_pro">
+            </form>`;
+        const data = new InputId(document.querySelector('input')).toJSON();
+        document.body.innerHTML = `
+            <form id="signup">
+                <input type="radio" name="plan" value="team" id="signup_plan_pro">
+            </form>`;
+        const inputElement = document.querySelector('input');
+        expect(InputId.fromJSON(data).checkHydration()).toEqual({
+            id: 'signup_plan_pro',
+            element: inputElement,
+            reason: 'parts',
+            expectedId: 'signup_plan_team',
+            differences: [{part: 'value', stored: 'pro', live: 'team'}],
+            message: 'The "signup_plan_pro" ID doesn\'t match the element, which ID would be "signup_plan_team":'
+                + ' its value is "team" instead of "pro"'
+        });
+        inputElement.id = 'plan';
+        expect(InputId.fromJSON(data, {element: inputElement}).checkHydration()).toMatchObject({
+            reason: 'element',
+            message: 'The element has the "plan" ID instead of "signup_plan_pro"'
+        });
+        expect(InputId.fromJSON(data).checkHydration()).toMatchObject({
+            element: null,
+            reason: 'missing',
+            message: 'No element has the "signup_plan_pro" ID'
+        });
+        expect(InputId.fromJSON(data, {ownerDocument: null}).checkHydration()).toBeNull();
+    });
+
+    test('throws exception when an ID cannot be serialized or rehydrated', () => {
+        expect(() => {
+            JSON.stringify(new InputId({name: 'email', policy: {lowercase: false}}));
+        }).toThrow(TypeError);
+        expect(() => {
+            JSON.stringify(new InputId({name: 'email', suffix: attemptNumber => `v${attemptNumber}`}));
+        }).toThrow(TypeError);
+        expect(() => {
+            InputId.fromJSON('{"name": "email"}');
+        }).toThrow(TypeError);
+        expect(() => {
+            new InputId({name: 'email', id: 42});
+        }).toThrow(TypeError);
+    });
+
+    test('uses a given ID instead of generating it', () => {
+        const registry = new MemoryIdRegistry();
+        const inputId = new InputId({name: 'email', id: 'email_7', registry: registry, forceUniqueness: true});
+        expect(inputId.toString()).toEqual('email_7');
+        expect(Object.isFrozen(inputId)).toBe(true);
+        expect(registry.has('email_7')).toBe(true);
+        expect(inputId.refresh().toString()).toEqual('email');
+        const data = new InputId({name: 'phone', forceUniqueness: true}).toJSON();
+        const rehydratedId = InputId.fromJSON(data, {registry: registry});
+        expect(registry.has('phone')).toBe(true);
+        expect(rehydratedId.toJSON().suffix).toEqual('sequential');
+    });
+
+    test('compares instances by their parts and settings', () => {
+        document.body.innerHTML = '<input type="text" name="email" id="email">';
+        const inputId = new InputId({prefix: 'signup', name: 'email'});
+        const sameInputId = new InputId({prefix: 'signup', name: 'email', separator: '_'});
+        const uniqueInputId = inputId.forceUniqueness();
+        expect(inputId.equals(sameInputId)).toBe(true);
+        expect(inputId.hashKey()).toEqual(sameInputId.hashKey());
+        expect(inputId.equals(uniqueInputId)).toBe(false);
+        expect(inputId.equals(inputId.withName('phone'))).toBe(false);
+        expect(inputId.equals(inputId.withName('email'))).toBe(true);
+        expect(inputId.equals('signup_email')).toBe(false);
+        expect(new InputId({name: 'email', policy: {lowercase: false}}).equals(
+            new InputId({name: 'email', policy: {lowercase: false}})
+        )).toBe(true);
+        const fields = new Map([[inputId.hashKey(), 'E-mail']]);
+        expect(fields.get(sameInputId.hashKey())).toEqual('E-mail');
+        expect(Object.isFrozen(uniqueInputId)).toBe(false);
+    });
+
+    test('compares instances only by the parts their ID depends on', () => {
+        const textInputId = new InputId({name: 'email', type: 'text', value: 'jane@example.com'});
+        const emailInputId = new InputId({name: 'email', type: 'email'});
+        expect(textInputId.equals(emailInputId)).toBe(true);
+        expect(textInputId.hashKey()).toEqual(emailInputId.hashKey());
+        expect(textInputId.compare(emailInputId)).toEqual(0);
+        expect(textInputId.equals(emailInputId.withType('checkbox'))).toBe(false);
+        expect(new InputId({name: 'a'}).equals(new InputId({name: 'a', typeRules: {}}))).toBe(true);
+        expect(textInputId.equals(textInputId.with({typeRules: {checkbox: {parts: ['name']}}}))).toBe(true);
+        expect(textInputId.equals(textInputId.with({typeRules: {text: {parts: ['name', 'value']}}}))).toBe(false);
+        expect(emailInputId.with({format: '{name}-{type}'}).equals(textInputId.with({format: '{name}-{type}'})))
+            .toBe(false);
+        expect(new InputId({name: 'plan', type: 'radio', value: 'pro'}).equals(
+            new InputId({name: 'plan', type: 'radio', value: 'team'})
+        )).toBe(false);
+    });
+
+    test('sorts instances by prefix, name and value', () => {
+        const inputIds = [
+            new InputId({prefix: 'signup', name: 'color', type: 'radio', value: 'red'}),
+            new InputId({prefix: 'billing', name: 'street'}),
+            new InputId({prefix: 'signup', name: 'color', type: 'radio', value: 'blue'}),
+            new InputId({name: 'search'}),
+            new InputId({prefix: 'signup', name: 'age'})
+        ];
+        expect(inputIds.sort(InputId.compare).map(inputId => inputId.toString())).toEqual([
+            'search',
+            'billing_street',
+            'signup_age',
+            'signup_color_blue',
+            'signup_color_red'
+        ]);
+        expect(inputIds[0].compare(inputIds[1])).toBeLessThan(0);
+        expect(inputIds[1].compare(inputIds[0])).toBeGreaterThan(0);
+        expect(inputIds[2].compare(new InputId({prefix: 'signup', name: 'age'}))).toEqual(0);
+    });
+
+    test('generates IDs lazily or eagerly', () => {
+        document.body.innerHTML = '<input type="text" name="email" id="email">';
+        const lazyInputId = new InputId({name: 'email', forceUniqueness: true, maxAttempts: 0});
+        expect(Object.isFrozen(lazyInputId)).toBe(false);
+        expect(() => lazyInputId.toString()).toThrow(RangeError);
+        const resolvedInputId = new InputId({name: 'phone'}).resolve();
+        expect(Object.isFrozen(resolvedInputId)).toBe(true);
+        expect(resolvedInputId.toString()).toEqual('phone');
+        const eagerInputId = new InputId({name: 'phone', resolution: 'eager'});
+        expect(Object.isFrozen(eagerInputId)).toBe(true);
+        expect(eagerInputId.withName('city').toObject().resolution).toEqual('lazy');
+        expect(() => {
+            new InputId({name: 'email', forceUniqueness: true, maxAttempts: 0, resolution: 'eager'});
+        }).toThrow(RangeError);
+        expect(() => {
+            new InputId({name: 'email', resolution: 'later'});
+        }).toThrow(RangeError);
+    });
+
+    test('detects and refreshes stale IDs', () => {
+        document.body.innerHTML = '<form id="signup"></form><input type="text" name="phone">';
+        const emailElement = document.createElement('input');
+        emailElement.name = 'email';
+        const emailId = new InputId(emailElement);
+        expect(emailId.isStale()).toBe(false);
+        expect(emailId.toString()).toEqual('email');
+        expect(emailId.isStale()).toBe(false);
+        document.querySelector('form').appendChild(emailElement);
+        expect(emailId.isStale()).toBe(true);
+        const refreshedEmailId = emailId.refresh();
+        expect(refreshedEmailId.toString()).toEqual('signup_email');
+        expect(refreshedEmailId.isStale()).toBe(false);
+
+        const phoneElement = document.querySelector('[name="phone"]');
+        const phoneId = new InputId(phoneElement).resolve();
+        expect(phoneId.toString()).toEqual('phone');
+        const otherElement = document.createElement('input');
+        otherElement.id = 'phone';
+        document.body.appendChild(otherElement);
+        expect(phoneId.isStale()).toBe(true);
+        expect(phoneId.refresh().toString()).toEqual('phone_1');
+        expect(new InputId({name: 'phone'}).resolve().isStale()).toBe(false);
+    });
+
+    test('does not reserve IDs when detecting stale IDs', () => {
+        const registry = new MemoryIdRegistry();
+        const inputId = new InputId({
+            name: 'phone',
+            registry: registry,
+            forceUniqueness: true,
+            ownerDocument: null,
+            resolution: 'eager'
+        });
+        expect(inputId.isStale()).toBe(false);
+        expect(registry.has('phone')).toBe(true);
+        expect(registry.has('phone_1')).toBe(false);
+    });
+
+    test('releases the ID in the registry when refreshing it', () => {
+        const registry = new MemoryIdRegistry();
+        const inputId = new InputId({name: 'phone', registry, forceUniqueness: true, ownerDocument: null}).resolve();
+        expect(inputId.toString()).toEqual('phone');
+        expect(inputId.refresh().toString()).toEqual('phone');
+        expect(registry.has('phone')).toBe(true);
+    });
+
+    test('throws exception or warns when an ID collides in strict or warn mode', () => {
+        document.body.innerHTML = '<input type="text" name="email" id="email"><input type="text" name="phone">';
+        const phoneElement = document.querySelector('[name="phone"]');
+        expect(new InputId({name: 'email'}).toString()).toEqual('email');
+        expect(() => {
+            new InputId({name: 'email', collisionMode: 'strict'}).toString();
+        }).toThrow(new RangeError('The "email" ID is already used by input[name="email"]'));
+        expect(() => {
+            new InputId({element: phoneElement, name: 'email', collisionMode: 'strict'}).toString();
+        }).toThrow(RangeError);
+        expect(new InputId({name: 'phone', collisionMode: 'strict'}).toString()).toEqual('phone');
+        const logger = {warn: jest.fn()};
+        expect(new InputId({name: 'email', collisionMode: 'warn', logger}).toString()).toEqual('email');
+        expect(new InputId({element: phoneElement, name: 'email', collisionMode: 'warn', logger}).toString())
+            .toEqual('email_1');
+        expect(logger.warn.mock.calls).toEqual([
+            ['The "email" ID is already used by input[name="email"]'],
+            ['The "email" ID is already used by input[name="email"], so the "email_1" ID was generated instead']
+        ]);
+        const registry = new MemoryIdRegistry();
+        registry.reserve('city');
+        expect(() => {
+            new InputId({name: 'city', registry, ownerDocument: null, collisionMode: 'strict'}).toString();
+        }).toThrow(new RangeError('The "city" ID is already reserved in the registry'));
+        expect(() => {
+            new InputId({name: 'email', collisionMode: 'loud'});
+        }).toThrow(RangeError);
+        expect(() => {
+            new InputId({name: 'email', logger: {}});
+        }).toThrow(TypeError);
+    });
+
+    test('explains how an ID was generated', () => {
+        document.body.innerHTML = `
+            <input type="text" name="2024" id="f_2024">
+            <input type="text" name="2024" id="f_2024_1">
+            <input type="text" name="2024" id="f_2024_2">
+            <input type="text" name="2024">`;
+        const inputId = new InputId({element: document.querySelectorAll('input')[3], policy: 'html4'});
+        expect(inputId.explain()).toEqual([
+            {step: 'parts', result: ['2024'], description: 'The prefix, the scope, the parts of the type rule and the role'},
+            {step: 'join', result: '2024', description: 'The parts are joined by the "_" separator'},
+            {step: 'sanitize', result: '2024', description: 'No character was replaced or removed'},
+            {
+                step: 'fallback',
+                result: 'f_2024',
+                description: 'The first character is invalid, so the "f" fallback was added as a prefix'
+            },
+            {step: 'truncate', result: 'f_2024', description: 'The ID wasn\'t truncated'},
+            {
+                step: 'uniqueness',
+                result: 'f_2024_3',
+                description: 'The "f_2024" ID is already used by input[name="2024"], so a suffix was added'
+            }
+        ]);
+        const steps = new InputId({name: '¿?', forceUniqueness: false}).explain();
+        expect(steps.map(step => step.result)).toEqual([['¿?'], '¿?', '', 'f', 'f', 'f']);
+        expect(steps[2].description).toEqual(
+            'The invalid characters were replaced or removed, according to the document type and the policy'
+        );
+        expect(steps[3].description).toEqual('The sanitized ID is empty, so it\'s the "f" fallback');
+        expect(steps[5].description).toEqual('The uniqueness isn\'t enforced');
+    });
+
     test('throws exception when fallback base ID is invalid', () => {
         expect(() => {
             new InputId({fallback: 'a0_b-c'});
@@ -0,0 +1,119 @@
+const InputIdObserver = require('inputid/src/InputIdObserver');
+const MemoryIdRegistry = require('inputid/src/MemoryIdRegistry');
+
+describe('inputIdObserver', () => {
+    let observer = null;
+
+    beforeEach(() => {
+        document.documentElement.innerHTML = '';
+    });
+
+    afterEach(() => {
+        if (observer) {
+            observer.disconnect();
+        }
+        observer = null;
+    });
+
+    test('assigns IDs to the controls which are already there', () => {
+        document.body.innerHTML = `
+            <form id="signup">
+                <label>Name</label><input type="text" name="name">
+            </form>`;
+        observer = new InputIdObserver();
+        const report = observer.observe(document.getElementById('signup'));
+        expect(report.map(entry => entry.id)).toEqual(['signup_name']);
+        expect(document.querySelector('label').htmlFor).toEqual('signup_name');
+    });
+
+    test('assigns IDs to added controls and associates their labels', () => {
+        document.body.innerHTML = '<form id="signup"></form>';
+        const callback = jest.fn();
+        observer = new InputIdObserver(callback);
+        const formElement = document.getElementById('signup');
+        observer.observe(formElement);
+        const rowElement = document.createElement('div');
+        rowElement.innerHTML = '<label>Phone <input type="tel" name="phone"></label>';
+        formElement.appendChild(rowElement);
+        const inputElement = document.createElement('input');
+        inputElement.name = 'phone';
+        formElement.appendChild(inputElement);
+        return Promise.resolve().then(() => {
+            expect(rowElement.querySelector('input').id).toEqual('signup_phone');
+            expect(rowElement.querySelector('label').htmlFor).toEqual('signup_phone');
+            expect(inputElement.id).toEqual('signup_phone_1');
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(callback.mock.calls[0][0]).toHaveLength(2);
+            expect(callback.mock.calls[0][1]).toBe(observer);
+        });
+    });
+
+    test('recomputes IDs when the name, the value or the type change', () => {
+        document.body.innerHTML = `
+            <form id="signup">
+                <input type="radio" name="color" value="red">
+                <label>Red</label>
+            </form>`;
+        observer = new InputIdObserver(null, {delay: 1000});
+        observer.observe(document.getElementById('signup'));
+        const inputElement = document.querySelector('input');
+        const labelElement = document.querySelector('label');
+        expect(inputElement.id).toEqual('signup_color_red');
+        inputElement.setAttribute('value', 'green');
+        const report = observer.flush();
+        expect(report).toHaveLength(1);
+        expect(inputElement.id).toEqual('signup_color_green');
+        expect(labelElement.htmlFor).toEqual('signup_color_green');
+    });
+
+    test('releases the IDs of removed controls', () => {
+        const registry = new MemoryIdRegistry();
+        document.body.innerHTML = '<div><input name="phone"></div>';
+        observer = new InputIdObserver(null, {registry: registry});
+        observer.observe(document.body);
+        expect(registry.has('phone')).toBe(true);
+        document.body.removeChild(document.querySelector('div'));
+        observer.flush();
+        expect(registry.has('phone')).toBe(false);
+    });
+
+    test('processes batches of changes after a delay', () => {
+        jest.useFakeTimers();
+        document.body.innerHTML = '<form id="signup"></form>';
+        const callback = jest.fn();
+        observer = new InputIdObserver(callback, {delay: 50});
+        const formElement = document.getElementById('signup');
+        observer.observe(formElement);
+        ['name', 'email'].forEach(name => {
+            const inputElement = document.createElement('input');
+            inputElement.name = name;
+            formElement.appendChild(inputElement);
+        });
+        return Promise.resolve().then(() => {
+            expect(callback).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(50);
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(callback.mock.calls[0][0].map(entry => entry.id)).toEqual(['signup_name', 'signup_email']);
+            jest.useRealTimers();
+        });
+    });
+
+    test('stops observing changes when disconnected', () => {
+        document.body.innerHTML = '<form id="signup"></form>';
+        observer = new InputIdObserver();
+        const formElement = document.getElementById('signup');
+        observer.observe(formElement);
+        observer.disconnect();
+        const inputElement = document.createElement('input');
+        inputElement.name = 'phone';
+        formElement.appendChild(inputElement);
+        return Promise.resolve().then(() => {
+            expect(inputElement.id).toEqual('');
+            expect(observer.flush()).toEqual([]);
+        });
+    });
+
+    test('throws exception when the delay is invalid', () => {
+        expect(() => new InputIdObserver(null, {delay: -1})).toThrow(RangeError);
+    });
+});
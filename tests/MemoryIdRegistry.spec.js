@@ -0,0 +1,32 @@
+const MemoryIdRegistry = require('inputid/src/MemoryIdRegistry');
+
+describe('memoryIdRegistry', () => {
+    test('reserves and releases IDs', () => {
+        const registry = new MemoryIdRegistry();
+        expect(registry.has('color')).toBe(false);
+        expect(registry.reserve('color')).toBe(true);
+        expect(registry.has('color')).toBe(true);
+        expect(registry.reserve('color')).toBe(false);
+        registry.release('color');
+        expect(registry.has('color')).toBe(false);
+    });
+
+    test('allows the owner to reserve its ID again', () => {
+        const registry = new MemoryIdRegistry();
+        const owner = document.createElement('input');
+        expect(registry.reserve('color', owner)).toBe(true);
+        expect(registry.has('color', owner)).toBe(false);
+        expect(registry.reserve('color', owner)).toBe(true);
+        expect(registry.has('color', document.createElement('input'))).toBe(true);
+        expect(registry.has('color')).toBe(true);
+    });
+
+    test('clears all the IDs', () => {
+        const registry = new MemoryIdRegistry();
+        registry.reserve('color');
+        registry.reserve('size');
+        registry.clear();
+        expect(registry.has('color')).toBe(false);
+        expect(registry.has('size')).toBe(false);
+    });
+});
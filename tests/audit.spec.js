@@ -0,0 +1,87 @@
+const audit = require('inputid/src/audit');
+
+describe('audit', () => {
+    beforeEach(() => {
+        document.documentElement.innerHTML = '';
+    });
+
+    test('reports no issues for a well labelled form', () => {
+        document.body.innerHTML = `
+            <form id="signup">
+                <label for="signup_name">Name</label>
+                <input type="text" name="name" id="signup_name">
+                <input type="radio" name="color" value="red" id="signup_color_red" aria-label="Red">
+                <input type="radio" name="color" value="red" id="signup_color_red_1" aria-label="Red">
+                <button>Send</button>
+            </form>`;
+        const report = audit(document);
+        expect(report.passed).toBe(true);
+        expect(report.count).toEqual(0);
+        expect(report.toString()).toEqual('No issues found.');
+    });
+
+    test('reports duplicate, invalid and orphaned IDs and labels', () => {
+        document.body.innerHTML = `
+            <form id="signup">
+                <label for="name">Name</label>
+                <input type="text" name="name" id="name">
+                <label for="missing">Missing</label>
+                <input type="text" name="email" id="name" aria-labelledby="nothing">
+                <input type="text" name="age" id="1 age">
+                <input type="text" name="phone" id="signup_phone" title="Phone">
+                <button></button>
+            </form>`;
+        const report = audit(document, {prefix: 'signup'});
+        const inputElements = document.querySelectorAll('input');
+        expect(report.duplicateIds).toEqual([
+            {id: 'name', elements: [inputElements[0], inputElements[1]]}
+        ]);
+        expect(report.invalidIds).toEqual([
+            {id: '1 age', element: inputElements[2]}
+        ]);
+        expect(report.orphanedLabels).toEqual([
+            {label: document.querySelectorAll('label')[1], htmlFor: 'missing'}
+        ]);
+        expect(report.unlabelledControls.map(issue => issue.element)).toEqual([
+            inputElements[1],
+            inputElements[2],
+            document.querySelector('button')
+        ]);
+        expect(report.unexpectedIds).toEqual([
+            {element: inputElements[0], id: 'name', expectedId: 'signup_name'},
+            {element: inputElements[1], id: 'name', expectedId: 'signup_email'},
+            {element: inputElements[2], id: '1 age', expectedId: 'signup_age'}
+        ]);
+        expect(report.passed).toBe(false);
+        expect(report.toString()).toEqual([
+            'Duplicate IDs:',
+            '  "name" (2 elements)',
+            'Invalid IDs:',
+            '  "1 age" (input[name="age"])',
+            'Orphaned labels:',
+            '  label for "missing"',
+            'Unlabelled controls:',
+            '  input[name="email"]',
+            '  input[name="age"]',
+            '  button',
+            'Unexpected IDs:',
+            '  "name" (expected "signup_name")',
+            '  "name" (expected "signup_email")',
+            '  "1 age" (expected "signup_age")'
+        ].join('\n'));
+    });
+
+    test('audits IDs according to the document type', () => {
+        document.body.innerHTML = `
+            <div id="1st"></div>
+            <div id="ação"></div>
+            <div id="v1.2:beta"></div>
+            <div id="a b"></div>`;
+        expect(
+            audit(document.body, {doctype: 'html5'}).invalidIds.map(issue => issue.id)
+        ).toEqual(['a b']);
+        expect(
+            audit(document.body, {doctype: 'html4'}).invalidIds.map(issue => issue.id)
+        ).toEqual(['1st', 'ação', 'a b']);
+    });
+});
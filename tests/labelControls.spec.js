@@ -0,0 +1,121 @@
+const labelControls = require('inputid/src/labelControls');
+
+describe('labelControls', () => {
+    beforeEach(() => {
+        document.documentElement.innerHTML = '';
+    });
+
+    test('assigns IDs to every control in a form', () => {
+        document.body.innerHTML = `
+            <form id="personal-info">
+                <input type="text" name="username">
+                <input type="hidden" name="token">
+                <input type="radio" name="color" value="red">
+                <input type="radio" name="color" value="green">
+                <select name="country"><option value="pt">PT</option></select>
+                <textarea name="bio"></textarea>
+            </form>`;
+        const report = labelControls(document.getElementById('personal-info'));
+        expect(report.map(entry => entry.id)).toEqual([
+            'personal-info_username',
+            'personal-info_color_red',
+            'personal-info_color_green',
+            'personal-info_country',
+            'personal-info_bio'
+        ]);
+        expect(document.querySelector('[name="token"]').id).toEqual('');
+    });
+
+    test('associates wrapping, sibling and hinted labels', () => {
+        document.body.innerHTML = `
+            <fieldset>
+                <label>Username <input type="text" name="username"></label>
+                <label>Age</label><input type="number" name="age">
+                <input type="radio" name="color" value="red"><label>Red</label>
+                <label data-label-for="email">E-mail</label>
+                <div><input type="email" name="email"></div>
+                <label data-label-for="color_blue">Blue</label>
+                <div><input type="radio" name="color" value="blue"></div>
+            </fieldset>`;
+        const report = labelControls(document.querySelector('fieldset'));
+        expect(report.map(entry => [entry.id, entry.label && entry.label.textContent])).toEqual([
+            ['username', 'Username '],
+            ['age', 'Age'],
+            ['color_red', 'Red'],
+            ['email', 'E-mail'],
+            ['color_blue', 'Blue']
+        ]);
+        report.forEach(entry => {
+            expect(entry.label.htmlFor).toEqual(entry.id);
+            expect(entry.labelChanged).toBe(true);
+        });
+    });
+
+    test('reports controls without labels', () => {
+        document.body.innerHTML = `
+            <div>
+                <input type="text" name="username">
+                <input type="text" name="city">
+                <label>City</label>
+            </div>`;
+        const report = labelControls(document.querySelector('div'));
+        expect(report[0].label).toBeNull();
+        expect(report[0].labelChanged).toBe(false);
+        expect(report[1].label.textContent).toEqual('City');
+    });
+
+    test('keeps existing IDs unless asked to overwrite them', () => {
+        document.body.innerHTML = `
+            <div>
+                <label>Username</label><input type="text" name="username" id="user">
+            </div>`;
+        const container = document.querySelector('div');
+        const [kept] = labelControls(container);
+        expect(kept.id).toEqual('user');
+        expect(kept.idChanged).toBe(false);
+        expect(kept.label.htmlFor).toEqual('user');
+        const [replaced] = labelControls(container, {overwrite: true, prefix: 'signup'});
+        expect(replaced.previousId).toEqual('user');
+        expect(replaced.id).toEqual('signup_username');
+        expect(replaced.idChanged).toBe(true);
+        expect(replaced.label.htmlFor).toEqual('signup_username');
+    });
+
+    test('assigns IDs only to the given controls', () => {
+        document.body.innerHTML = `
+            <div>
+                <input type="text" name="username">
+                <label for="old-city">City</label>
+                <input type="text" name="city" id="old-city">
+            </div>`;
+        const cityElement = document.querySelector('[name="city"]');
+        const report = labelControls(document.querySelector('div'), {
+            controls: [cityElement],
+            overwrite: true
+        });
+        expect(report).toHaveLength(1);
+        expect(cityElement.id).toEqual('city');
+        expect(report[0].label.htmlFor).toEqual('city');
+        expect(document.querySelector('[name="username"]').id).toEqual('');
+    });
+
+    test('generates unique IDs for controls with identical names', () => {
+        document.body.innerHTML = `
+            <div>
+                <input type="text" name="phone">
+                <input type="text" name="phone">
+            </div>`;
+        const report = labelControls(document.querySelector('div'));
+        expect(report.map(entry => entry.id)).toEqual(['phone', 'phone_1']);
+    });
+
+    test('generates unique IDs in a container outside the document', () => {
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <input type="text" name="phone">
+            <input type="text" name="phone" id="phone_1">
+            <input type="text" name="phone">`;
+        const report = labelControls(container);
+        expect(report.map(entry => entry.id)).toEqual(['phone', 'phone_1', 'phone_2']);
+    });
+});
@@ -0,0 +1,107 @@
+const InputId = require('inputid');
+const {getPolicy, registerPolicy} = require('inputid/src/policies');
+const {transliterate} = require('inputid/src/transliterations');
+
+describe('sanitization policies', () => {
+    test('sanitizes IDs according to the document type by default', () => {
+        expect(
+            new InputId({name: '1çÃó-Çªº亜[123][]', doctype: 'html5'}).toString()
+        ).toEqual('1cao-cao亜-123');
+        expect(
+            new InputId({name: '1çÃó-Çªº亜[123][]', doctype: 'html4'}).toString()
+        ).toEqual('f_1cao-cao-123');
+        expect(
+            new InputId({name: '1çÃó-Çªº亜[123][]', doctype: 'html4', policy: 'html5'}).toString()
+        ).toEqual('1cao-cao亜-123');
+        expect(
+            new InputId({name: '1çÃó-Çªº亜[123][]', policy: 'html4'}).toString()
+        ).toEqual('f_1cao-cao-123');
+    });
+
+    test('preserves the case', () => {
+        expect(
+            new InputId({prefix: 'SignUp', name: 'firstName', policy: 'case-preserving'}).toString()
+        ).toEqual('SignUp_firstName');
+    });
+
+    test('transliterates non-Latin scripts to ASCII', () => {
+        expect(
+            new InputId({name: 'Жёлтый цвет', policy: 'ascii'}).toString()
+        ).toEqual('zhyoltyy-tsvet');
+        expect(
+            new InputId({name: 'Ελληνικά', policy: 'ascii'}).toString()
+        ).toEqual('ellinika');
+        expect(
+            new InputId({name: 'にっぽん キャット', policy: 'ascii'}).toString()
+        ).toEqual('nippon-kyatto');
+        expect(
+            new InputId({name: '한글 çà', policy: 'ascii'}).toString()
+        ).toEqual('hangeul-ca');
+        expect(transliterate('漢字 かな')).toEqual('漢字 kana');
+        expect(transliterate('Жук')).toEqual('Zhuk');
+    });
+
+    test('throws exception instead of removing Chinese characters which are not transliterated', () => {
+        expect(() => new InputId({name: '姓名', policy: 'ascii'}).toString()).toThrow(RangeError);
+        expect(() => new InputId({name: '한글 亜', policy: 'ascii'}).toString()).toThrow(RangeError);
+        expect(
+            new InputId({name: '电话', policy: {...getPolicy('ascii'), transliterate: () => 'dianhua'}}).toString()
+        ).toEqual('dianhua');
+        expect(new InputId({name: '电话', policy: 'html5'}).toString()).toEqual('电话');
+    });
+
+    test('avoids a leading digit in CSS identifiers', () => {
+        expect(
+            new InputId({name: '2021 total', policy: 'css', doctype: 'html5'}).toString()
+        ).toEqual('f_2021-total');
+        expect(
+            new InputId({name: 'año', policy: 'css', doctype: 'html5'}).toString()
+        ).toEqual('ano');
+    });
+
+    test('generates XML NCNames', () => {
+        expect(
+            new InputId({name: 'v1.2:beta', policy: 'ncname'}).toString()
+        ).toEqual('v1.2-beta');
+        expect(
+            new InputId({name: '.hidden', policy: 'ncname'}).toString()
+        ).toEqual('f_.hidden');
+    });
+
+    test('registers custom policies', () => {
+        registerPolicy('underscored', {
+            invalidCharacters: /[^0-9a-z_]/g,
+            replacement: '_',
+            collapseHyphens: false
+        });
+        expect(getPolicy('underscored').collapseHyphens).toBe(false);
+        expect(
+            new InputId({name: 'first-name', policy: 'underscored'}).toString()
+        ).toEqual('first_name');
+        expect(
+            new InputId({name: 'first name', policy: {invalidCharacters: /[^0-9a-zA-Z]/g, replacement: ''}}).toString()
+        ).toEqual('firstname');
+        expect(
+            new InputId({name: 'a--b', policy: {collapseHyphens: false}}).toString()
+        ).toEqual('a--b');
+    });
+
+    test('throws exception when a policy is invalid', () => {
+        expect(() => new InputId({policy: 'unknown'})).toThrow(RangeError);
+        expect(() => new InputId({policy: {invalidCharacters: /[^a-z]/}})).toThrow(TypeError);
+        expect(() => new InputId({policy: {firstCharacter: 'a'}})).toThrow(TypeError);
+        expect(() => new InputId({policy: {transliterate: 'yes'}})).toThrow(TypeError);
+        expect(() => registerPolicy('invalid', null)).toThrow(TypeError);
+        expect(() => new InputId({policy: {invalidCharacters: /[^0-9a-z_]/g}})).toThrow(TypeError);
+        expect(() => new InputId({policy: {replacement: 1}})).toThrow(TypeError);
+        expect(() => registerPolicy('html5', {lowercase: false})).toThrow(RangeError);
+        expect(() => registerPolicy('auto', {})).toThrow(RangeError);
+        expect(new InputId({name: 'first name', doctype: 'html5'}).toString()).toEqual('first-name');
+    });
+
+    test('parses IDs sanitized with a policy', () => {
+        expect(
+            InputId.parse('f_2021', {policy: 'css', ownerDocument: null})
+        ).toMatchObject({name: '2021'});
+    });
+});
@@ -0,0 +1,133 @@
+const {StrictMode, act, createElement} = require('react');
+const ReactDOMClient = require('react-dom/client');
+const ReactDOMServer = require('react-dom/server');
+const MemoryIdRegistry = require('inputid/src/MemoryIdRegistry');
+const {InputIdProvider, useInputId} = require('inputid/src/react');
+
+function Field(props) {
+    const inputId = useInputId({name: props.name});
+    return createElement(
+        'div',
+        null,
+        createElement('label', {htmlFor: inputId.toString()}, props.name),
+        createElement('input', {id: inputId.toString(), name: props.name})
+    );
+}
+
+function Form(props) {
+    return createElement(
+        InputIdProvider,
+        {prefix: 'signup', separator: '-', registry: props.registry},
+        props.names.map((name, index) => createElement(Field, {key: index, name: name}))
+    );
+}
+
+describe('react', () => {
+    let container;
+    let root;
+
+    beforeAll(() => {
+        global.IS_REACT_ACT_ENVIRONMENT = true;
+    });
+
+    beforeEach(() => {
+        document.documentElement.innerHTML = '';
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        root = null;
+    });
+
+    afterEach(() => {
+        if (root) {
+            act(() => {
+                root.unmount();
+            });
+        }
+    });
+
+    const getIds = () => Array.from(container.querySelectorAll('input')).map(input => input.id);
+
+    test('renders the same unique IDs on the server and on the client', () => {
+        const names = ['email', 'email', 'phone'];
+        container.innerHTML = ReactDOMServer.renderToString(createElement(Form, {names: names}));
+        expect(getIds()).toEqual(['signup-email', 'signup-email-1', 'signup-phone']);
+        expect(container.querySelectorAll('label')[1].htmlFor).toEqual('signup-email-1');
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        act(() => {
+            root = ReactDOMClient.hydrateRoot(container, createElement(Form, {names: names}));
+        });
+        expect(consoleError).not.toHaveBeenCalled();
+        consoleError.mockRestore();
+        expect(getIds()).toEqual(['signup-email', 'signup-email-1', 'signup-phone']);
+    });
+
+    test('reserves IDs on mount and releases them on unmount', () => {
+        const registry = new MemoryIdRegistry();
+        root = ReactDOMClient.createRoot(container);
+        act(() => {
+            root.render(createElement(Form, {names: ['email', 'phone'], registry: registry}));
+        });
+        expect(registry.has('signup-email')).toBe(true);
+        expect(registry.has('signup-phone')).toBe(true);
+        act(() => {
+            root.render(createElement(Form, {names: ['email'], registry: registry}));
+        });
+        expect(registry.has('signup-phone')).toBe(false);
+        act(() => {
+            root.unmount();
+        });
+        root = null;
+        expect(registry.has('signup-email')).toBe(false);
+    });
+
+    test('reserves and releases unique IDs in StrictMode', () => {
+        const registry = new MemoryIdRegistry();
+        const candidateIds = ['signup-email', 'signup-email-1', 'signup-email-2', 'signup-email-3', 'signup-email-4'];
+        const getReservedIds = () => candidateIds.filter(id => registry.has(id));
+        const render = names => createElement(StrictMode, null, createElement(Form, {names: names, registry: registry}));
+        root = ReactDOMClient.createRoot(container);
+        act(() => {
+            root.render(render(['email', 'email']));
+        });
+        const ids = getIds();
+        expect(new Set(ids).size).toEqual(2);
+        expect(getReservedIds()).toEqual(candidateIds.filter(id => ids.includes(id)));
+        act(() => {
+            root.render(render(['email', 'email', 'email']));
+        });
+        expect(getIds().slice(0, 2)).toEqual(ids);
+        expect(new Set(getIds()).size).toEqual(3);
+        expect(getReservedIds()).toEqual(candidateIds.filter(id => getIds().includes(id)));
+        act(() => {
+            root.unmount();
+        });
+        root = null;
+        expect(getReservedIds()).toEqual([]);
+    });
+
+    test('hydrates the server IDs in StrictMode', () => {
+        const registry = new MemoryIdRegistry();
+        const render = () => createElement(StrictMode, null, createElement(Form, {names: ['email', 'email'], registry: registry}));
+        container.innerHTML = ReactDOMServer.renderToString(createElement(Form, {names: ['email', 'email']}));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        act(() => {
+            root = ReactDOMClient.hydrateRoot(container, render());
+        });
+        expect(consoleError).not.toHaveBeenCalled();
+        consoleError.mockRestore();
+        expect(getIds()).toEqual(['signup-email', 'signup-email-1']);
+        expect(registry.has('signup-email')).toBe(true);
+        expect(registry.has('signup-email-1')).toBe(true);
+        expect(registry.has('signup-email-2')).toBe(false);
+    });
+
+    test('generates IDs without a provider', () => {
+        const html = ReactDOMServer.renderToString(createElement(
+            'div',
+            null,
+            createElement(Field, {name: 'email'}),
+            createElement(Field, {name: 'email'})
+        ));
+        expect(html.match(/id="[^"]+"/g)).toEqual(['id="email"', 'id="email"']);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+const InputId = require('inputid');
+const MemoryIdRegistry = require('inputid/src/MemoryIdRegistry');
+
+describe('inputId without a document', () => {
+    test('generates an ID without a global document', () => {
+        expect(typeof document).toEqual('undefined');
+        expect(
+            new InputId({
+                prefix: 'myform',
+                type: 'radio',
+                name: 'color',
+                value: 'red'
+            }).toString()
+        ).toEqual('myform_color_red');
+        expect(new InputId().toString()).toEqual('f');
+    });
+
+    test('sanitizes IDs according to the "doctype" option', () => {
+        expect(
+            new InputId({name: '1çÃó-Çªº亜[123][]'}).toString()
+        ).toEqual('1cao-cao亜-123');
+        expect(
+            new InputId({name: '1çÃó-Çªº亜[123][]', doctype: 'html5'}).toString()
+        ).toEqual('1cao-cao亜-123');
+        expect(
+            new InputId({name: '1çÃó-Çªº亜[123][]', doctype: 'html4'}).toString()
+        ).toEqual('f_1cao-cao-123');
+        expect(
+            new InputId({
+                name: '1a',
+                doctype: {name: 'html', publicId: '-//W3C//DTD HTML 4.01//EN', systemId: ''}
+            }).toString()
+        ).toEqual('f_1a');
+    });
+
+    test('generates unique IDs with a registry', () => {
+        const registry = new MemoryIdRegistry();
+        const ids = [1, 2, 3].map(() => new InputId({
+            name: 'phone',
+            registry: registry,
+            forceUniqueness: true
+        }).toString());
+        expect(ids).toEqual(['phone', 'phone_1', 'phone_2']);
+        expect(registry.has('phone_2')).toBe(true);
+        expect(
+            new InputId({name: 'phone', registry: registry}).toString()
+        ).toEqual('phone');
+    });
+
+    test('does not find elements without a document', () => {
+        const inputId = new InputId({name: 'phone'});
+        expect(inputId.getElement()).toBeNull();
+        expect(inputId.getLabels()).toHaveLength(0);
+    });
+
+    test('parses an ID without a document', () => {
+        expect(InputId.parse('f_2021', {doctype: 'html4'})).toMatchObject({
+            name: '2021',
+            element: null,
+            ambiguous: false
+        });
+    });
+
+    test('throws exception when the doctype or the registry options are invalid', () => {
+        expect(() => {
+            new InputId({doctype: 'xhtml'});
+        }).toThrow(RangeError);
+        expect(() => {
+            new InputId({doctype: 'toString'});
+        }).toThrow(RangeError);
+        expect(() => {
+            new InputId({doctype: {}});
+        }).toThrow(TypeError);
+        expect(() => {
+            new InputId({registry: {}});
+        }).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,112 @@
+const {createApp, defineComponent, h, nextTick, ref, resolveDirective, withDirectives} = require('vue');
+const MemoryIdRegistry = require('inputid/src/MemoryIdRegistry');
+const {createInputId, useInputId, vInputId} = require('inputid/src/vue');
+
+describe('vue', () => {
+    let container;
+
+    beforeEach(() => {
+        document.documentElement.innerHTML = '';
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    test('assigns IDs, labels and ARIA references with the directive', () => {
+        const name = ref('email');
+        const app = createApp({
+            render: () => h('form', {id: 'signup'}, [
+                h('label', null, 'E-mail'),
+                withDirectives(h('input', {type: 'text', name: name.value}), [[vInputId, {roles: ['hint']}]]),
+                h('label', null, ['Red ', withDirectives(h('input', {type: 'radio', name: 'color', value: 'red'}), [[vInputId]])])
+            ])
+        });
+        app.mount(container);
+        const [textElement, radioElement] = container.querySelectorAll('input');
+        const [textLabel, radioLabel] = container.querySelectorAll('label');
+        expect(textElement.id).toEqual('signup_email');
+        expect(textElement.getAttribute('aria-describedby')).toEqual('signup_email_hint');
+        expect(textLabel.htmlFor).toEqual('signup_email');
+        expect(radioElement.id).toEqual('signup_color_red');
+        expect(radioLabel.htmlFor).toEqual('signup_color_red');
+        name.value = 'phone';
+        return nextTick().then(() => {
+            expect(textElement.id).toEqual('signup_phone');
+            expect(textElement.getAttribute('aria-describedby')).toEqual('signup_phone_hint');
+            expect(textLabel.htmlFor).toEqual('signup_phone');
+            app.unmount();
+        });
+    });
+
+    test('releases the IDs of the directive when the elements are unmounted', () => {
+        const registry = new MemoryIdRegistry();
+        const visible = ref(true);
+        const app = createApp({
+            render: () => h('div', null, visible.value
+                ? [withDirectives(h('input', {type: 'text', name: 'email'}), [[vInputId, {registry: registry}]])]
+                : [])
+        });
+        app.mount(container);
+        expect(registry.has('email')).toBe(true);
+        visible.value = false;
+        return nextTick().then(() => {
+            expect(registry.has('email')).toBe(false);
+            app.unmount();
+        });
+    });
+
+    test('uses the plugin options and registry in the directive', () => {
+        const registry = new MemoryIdRegistry();
+        registry.reserve('paint_color');
+        const app = createApp({
+            render: () => withDirectives(h('input', {type: 'text', name: 'color'}), [[resolveDirective('input-id')]])
+        });
+        app.use(createInputId({prefix: 'paint', registry: registry}));
+        app.mount(container);
+        expect(container.querySelector('input').id).toEqual('paint_color_1');
+        expect(registry.has('paint_color_1')).toBe(true);
+        app.unmount();
+        expect(registry.has('paint_color_1')).toBe(false);
+    });
+
+    test('generates unique IDs with the composable and derives option IDs', () => {
+        const registry = new MemoryIdRegistry();
+        const Color = defineComponent({
+            props: {name: String},
+            setup(props) {
+                const inputId = useInputId(() => ({name: props.name}));
+                return () => h('select', {id: inputId.value.toString(), name: props.name}, ['red', 'blue'].map(
+                    value => h('option', {id: inputId.value.withType('option').withValue(value).toString(), value: value}, value)
+                ));
+            }
+        });
+        const name = ref('color');
+        const app = createApp({
+            render: () => [h(Color, {name: name.value}), h(Color, {name: 'color'})]
+        });
+        app.use(createInputId({prefix: 'paint', registry: registry}));
+        app.mount(container);
+        expect(Array.from(container.querySelectorAll('select')).map(element => element.id))
+            .toEqual(['paint_color', 'paint_color']);
+        expect(registry.has('paint_color_1')).toBe(true);
+        return nextTick().then(() => {
+            expect(Array.from(container.querySelectorAll('[id]')).map(element => element.id)).toEqual([
+                'paint_color',
+                'paint_color_red',
+                'paint_color_blue',
+                'paint_color_1',
+                'paint_color_1_red',
+                'paint_color_1_blue'
+            ]);
+            expect(registry.has('paint_color_red')).toBe(false);
+            name.value = 'shade';
+            return nextTick();
+        }).then(() => {
+            expect(container.querySelector('select').id).toEqual('paint_shade');
+            expect(registry.has('paint_color')).toBe(false);
+            expect(registry.has('paint_shade')).toBe(true);
+            app.unmount();
+            expect(registry.has('paint_shade')).toBe(false);
+            expect(registry.has('paint_color_1')).toBe(false);
+        });
+    });
+});